@@ -0,0 +1,199 @@
+import { DAY_MS } from './dom.js';
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+let activitySubmissions = [];
+
+function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function createDatePartsFormatter(timeZone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    return seconds => {
+        const parts = {};
+        formatter.formatToParts(new Date(seconds * 1000)).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+        return {
+            dayKey: `${parts.year}-${parts.month}-${parts.day}`,
+            hour: parseInt(parts.hour) % 24
+        };
+    };
+}
+
+// Day keys are converted to UTC day numbers so streak arithmetic never crosses a DST shift.
+function dayKeyToNumber(dayKey) {
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function dayNumberToKey(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+function buildActivity(submissions, timeZone) {
+    const getParts = createDatePartsFormatter(timeZone);
+    const days = new Map();
+    const solvedPerDay = new Set();
+    const weekdayCounts = new Array(7).fill(0);
+    const hourCounts = new Array(24).fill(0);
+
+    submissions.forEach(sub => {
+        const { dayKey, hour } = getParts(sub.creationTimeSeconds);
+        if (!days.has(dayKey)) {
+            days.set(dayKey, { submissions: 0, accepted: 0 });
+        }
+        const day = days.get(dayKey);
+        day.submissions++;
+
+        const problemKey = `${dayKey}/${sub.problem.contestId}-${sub.problem.index}`;
+        if (sub.verdict === 'OK' && !solvedPerDay.has(problemKey)) {
+            solvedPerDay.add(problemKey);
+            day.accepted++;
+        }
+
+        weekdayCounts[new Date(dayKeyToNumber(dayKey) * DAY_MS).getUTCDay()]++;
+        hourCounts[hour]++;
+    });
+
+    return { days, weekdayCounts, hourCounts, today: getParts(Date.now() / 1000).dayKey };
+}
+
+function calculateStreaks(days, today) {
+    const activeDays = Array.from(days.keys()).map(dayKeyToNumber).sort((a, b) => a - b);
+    if (!activeDays.length) return { current: 0, longest: 0 };
+
+    let longest = 1;
+    let run = 1;
+    for (let i = 1; i < activeDays.length; i++) {
+        run = activeDays[i] === activeDays[i - 1] + 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    // A streak is still alive until a full day passes without a submission.
+    const todayNumber = dayKeyToNumber(today);
+    let cursor = days.has(today) ? todayNumber : todayNumber - 1;
+    let current = 0;
+    while (days.has(dayNumberToKey(cursor))) {
+        current++;
+        cursor--;
+    }
+
+    return { current, longest };
+}
+
+function indexOfMax(values) {
+    return values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+}
+
+function renderHeatmap(activity, year, metric) {
+    const grid = document.getElementById('activityHeatmap');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+
+    const firstDay = Date.UTC(year, 0, 1) / DAY_MS;
+    const lastDay = Date.UTC(year, 11, 31) / DAY_MS;
+    const leadingBlanks = new Date(firstDay * DAY_MS).getUTCDay();
+
+    let max = 0;
+    for (let day = firstDay; day <= lastDay; day++) {
+        const entry = activity.days.get(dayNumberToKey(day));
+        if (entry) max = Math.max(max, entry[metric]);
+    }
+
+    for (let i = 0; i < leadingBlanks; i++) {
+        const blank = document.createElement('div');
+        blank.className = 'heatmap-cell empty';
+        grid.appendChild(blank);
+    }
+
+    let total = 0;
+    for (let day = firstDay; day <= lastDay; day++) {
+        const dayKey = dayNumberToKey(day);
+        const entry = activity.days.get(dayKey) || { submissions: 0, accepted: 0 };
+        const count = entry[metric];
+        const level = count && max ? Math.ceil((count / max) * 4) : 0;
+        total += count;
+
+        const cell = document.createElement('div');
+        cell.className = `heatmap-cell level-${level}`;
+        cell.title = `${dayKey}: ${entry.submissions} submissions, ${entry.accepted} accepted`;
+        grid.appendChild(cell);
+    }
+
+    const label = metric === 'accepted' ? 'accepted solves' : 'submissions';
+    document.getElementById('activityTotal').textContent = `${total} ${label} in ${year}`;
+}
+
+function renderActivity() {
+    const yearSelect = document.getElementById('activityYear');
+    const metricSelect = document.getElementById('activityMetric');
+    const timeZoneSelect = document.getElementById('activityTimeZone');
+    if (!yearSelect || !metricSelect || !timeZoneSelect) return;
+
+    const activity = buildActivity(activitySubmissions, timeZoneSelect.value);
+    const streaks = calculateStreaks(activity.days, activity.today);
+
+    const years = new Set([parseInt(activity.today.slice(0, 4))]);
+    activity.days.forEach((_, dayKey) => years.add(parseInt(dayKey.slice(0, 4))));
+    const sortedYears = Array.from(years).sort((a, b) => b - a);
+
+    const selectedYear = sortedYears.includes(parseInt(yearSelect.value))
+        ? parseInt(yearSelect.value)
+        : sortedYears[0];
+    yearSelect.innerHTML = sortedYears
+        .map(year => `<option value="${year}"${year === selectedYear ? ' selected' : ''}>${year}</option>`)
+        .join('');
+
+    renderHeatmap(activity, selectedYear, metricSelect.value);
+
+    const hasActivity = activity.days.size > 0;
+    const busiestHour = indexOfMax(activity.hourCounts);
+    document.getElementById('currentStreak').textContent = `${streaks.current} days`;
+    document.getElementById('longestStreak').textContent = `${streaks.longest} days`;
+    document.getElementById('activeWeekday').textContent = hasActivity
+        ? WEEKDAY_NAMES[indexOfMax(activity.weekdayCounts)]
+        : '-';
+    document.getElementById('activeHour').textContent = hasActivity
+        ? `${String(busiestHour).padStart(2, '0')}:00 – ${String((busiestHour + 1) % 24).padStart(2, '0')}:00`
+        : '-';
+}
+
+function populateTimeZones(select) {
+    const localZone = getLocalTimeZone();
+    const zones = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : [localZone, 'UTC'];
+    if (!zones.includes(localZone)) zones.unshift(localZone);
+
+    select.innerHTML = zones
+        .map(zone => `<option value="${zone}"${zone === localZone ? ' selected' : ''}>${zone}</option>`)
+        .join('');
+}
+
+export function updateActivity(submissions) {
+    activitySubmissions = submissions;
+    document.getElementById('activityYear').value = '';
+    renderActivity();
+}
+
+export function setupActivity() {
+    const timeZoneSelect = document.getElementById('activityTimeZone');
+    if (!timeZoneSelect) return;
+
+    populateTimeZones(timeZoneSelect);
+
+    ['activityYear', 'activityMetric', 'activityTimeZone'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderActivity);
+    });
+}
@@ -0,0 +1,286 @@
+// Pure analytics over Codeforces API data. Nothing here touches the DOM or the network, so
+// it can be imported by the page and by the Node test suite alike.
+
+// Gym contests and mashups (private gyms) share one id space starting at 100000.
+export const GYM_CONTEST_ID_MIN = 100000;
+const DIVISION_PATTERN = /\bDiv\.\s*(\d)/gi;
+
+export const SOLVE_RATING_BUCKETS = [
+    { label: '< 1200', max: 1199 },
+    { label: '1200–1599', max: 1599 },
+    { label: '1600–1999', max: 1999 },
+    { label: '2000+', max: Infinity }
+];
+export const UNRATED_BUCKET = 'Unrated';
+
+const FORECAST_ALPHA = 0.5;
+const FORECAST_BETA = 0.3;
+const FORECAST_Z = 1.96;
+
+export function getProblemKey(problem) {
+    return `${problem.contestId}-${problem.index}`;
+}
+
+export function isGymContest(contestId) {
+    return contestId >= GYM_CONTEST_ID_MIN;
+}
+
+export function splitGymSubmissions(submissions) {
+    const regular = [];
+    const gym = [];
+    submissions.forEach(sub => {
+        (isGymContest(sub.problem.contestId) ? gym : regular).push(sub);
+    });
+    return { regular, gym };
+}
+
+// contest.list has no division field, so categories are read from the contest's canonical
+// name and rules type as published there. Combined rounds count towards both divisions.
+export function classifyContest(contest) {
+    const name = contest.name;
+    const divisions = new Set(Array.from(name.matchAll(DIVISION_PATTERN), match => match[1]));
+    const categories = Array.from(divisions, division => `Div. ${division}`);
+
+    if (divisions.has('1') && divisions.has('2')) {
+        categories.push('Div. 1 + Div. 2');
+    }
+    if (/^Educational\b/i.test(name) && contest.type !== 'CF') {
+        categories.push('Educational');
+    }
+    if (/\bGlobal Round\b/i.test(name)) {
+        categories.push('Global');
+    }
+    if (/\b(Kotlin Heroes|April Fools)\b/i.test(name)) {
+        categories.push('Kotlin / April Fools');
+    }
+
+    return categories;
+}
+
+// `contestMetadata` maps contest ids to contest.list entries; without an entry the name from
+// the rating history is used.
+export function getContestCategories(contest, contestMetadata = new Map()) {
+    const metadata = contestMetadata.get(contest.contestId) || { name: contest.contestName };
+    return classifyContest(metadata);
+}
+
+// Gym problems are unrated and mostly untagged, so they are analysed separately.
+export function processSubmissions(submissions) {
+    const acceptedSubmissions = splitGymSubmissions(submissions).regular.filter(sub => sub.verdict === 'OK');
+    const uniqueProblems = new Map();
+
+    acceptedSubmissions.forEach(sub => {
+        const problemKey = getProblemKey(sub.problem);
+        if (!uniqueProblems.has(problemKey)) {
+            uniqueProblems.set(problemKey, sub);
+        }
+    });
+
+    return Array.from(uniqueProblems.values());
+}
+
+// Each problem counts once, at its first accepted submission.
+export function getFirstSolves(submissions) {
+    const firstSolves = new Map();
+    splitGymSubmissions(submissions).regular.forEach(sub => {
+        if (sub.verdict !== 'OK') return;
+
+        const key = getProblemKey(sub.problem);
+        const existing = firstSolves.get(key);
+        if (!existing || sub.creationTimeSeconds < existing.creationTimeSeconds) {
+            firstSolves.set(key, sub);
+        }
+    });
+    return Array.from(firstSolves.values());
+}
+
+export function countRecentSolves(submissions, days, now = Date.now()) {
+    const cutoff = now / 1000 - days * 24 * 60 * 60;
+    return getFirstSolves(submissions).filter(sub => sub.creationTimeSeconds >= cutoff).length;
+}
+
+export function calculateProblemStats(acceptedSubmissions) {
+    const levels = {};
+    const ratings = {};
+    const tags = {};
+
+    acceptedSubmissions.forEach(sub => {
+        const level = sub.problem.index;
+        levels[level] = (levels[level] || 0) + 1;
+
+        if (sub.problem.rating) {
+            const rating = Math.floor(sub.problem.rating / 100) * 100;
+            ratings[rating] = (ratings[rating] || 0) + 1;
+        }
+
+        (sub.problem.tags || []).forEach(tag => {
+            tags[tag] = (tags[tag] || 0) + 1;
+        });
+    });
+
+    return { levels, ratings, tags };
+}
+
+export function calculateContestStats(ratingHistory) {
+    if (!ratingHistory.length) return { attended: 0, bestRank: '-', avgRating: '-' };
+
+    const attended = ratingHistory.length;
+    const bestRank = Math.min(...ratingHistory.map(contest => contest.rank));
+    const avgRating = Math.round(
+        ratingHistory.reduce((sum, contest) => sum + contest.newRating, 0) / attended
+    );
+
+    return { attended, bestRank, avgRating };
+}
+
+export function filterRatingHistoryByTime(ratingHistory, timeFrame, now = Date.now()) {
+    if (!ratingHistory.length || timeFrame === 'All') return ratingHistory;
+
+    const nowSeconds = now / 1000;
+    let cutoffTime;
+
+    switch (timeFrame) {
+        case '1Y':
+            cutoffTime = nowSeconds - (365 * 24 * 60 * 60); // 1 year ago
+            break;
+        case '6M':
+            cutoffTime = nowSeconds - (6 * 30 * 24 * 60 * 60); // 6 months ago
+            break;
+        default:
+            return ratingHistory;
+    }
+
+    return ratingHistory.filter(contest => contest.ratingUpdateTimeSeconds >= cutoffTime);
+}
+
+export function filterContestsByType(ratingHistory, contestType, contestMetadata = new Map()) {
+    if (!ratingHistory.length || contestType === 'All') return ratingHistory;
+
+    return ratingHistory.filter(contest => getContestCategories(contest, contestMetadata).includes(contestType));
+}
+
+// Contests every user entered, oldest first, with each user's rating change entry.
+export function getSharedContests(users) {
+    const [first, ...rest] = users.map(({ ratingHistory }) => new Map(ratingHistory.map(c => [c.contestId, c])));
+    if (!first) return [];
+
+    return Array.from(first.values())
+        .filter(contest => rest.every(history => history.has(contest.contestId)))
+        .sort((a, b) => a.ratingUpdateTimeSeconds - b.ratingUpdateTimeSeconds)
+        .map(contest => ({
+            contest,
+            entries: users.map(({ ratingHistory }) => ratingHistory.find(c => c.contestId === contest.contestId))
+        }));
+}
+
+// A user's first rated contest moves them from 0 to their starting rating, which is not a
+// rating change worth averaging; only contests entered with a rating are kept.
+export function getRatedContests(ratingHistory) {
+    return ratingHistory.filter(contest => contest.oldRating > 0);
+}
+
+export function calculateRollingDeltas(ratingHistory, window = 5) {
+    const rated = getRatedContests(ratingHistory);
+    return rated.map((contest, i) => {
+        const recent = rated.slice(Math.max(0, i - window + 1), i + 1);
+        return {
+            contest,
+            delta: contest.newRating - contest.oldRating,
+            average: recent.reduce((sum, c) => sum + c.newRating - c.oldRating, 0) / recent.length
+        };
+    });
+}
+
+export function getRatingBucket(rating) {
+    if (!rating) return UNRATED_BUCKET;
+    return SOLVE_RATING_BUCKETS.find(bucket => rating <= bucket.max).label;
+}
+
+// Weeks start on Monday; both weeks and months follow the local calendar.
+function getPeriodStart(time, period) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    if (period === 'month') {
+        date.setDate(1);
+    } else {
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    }
+    return date;
+}
+
+function getNextPeriodStart(date, period) {
+    const next = new Date(date);
+    if (period === 'month') {
+        next.setMonth(next.getMonth() + 1);
+    } else {
+        next.setDate(next.getDate() + 7);
+    }
+    return next;
+}
+
+// Groups first solves by week or month, from the first solve up to `now`. Periods without
+// solves are kept, so a slowdown shows up as zeros rather than disappearing from the chart.
+export function calculateSolveTrends(firstSolves, period = 'week', now = Date.now()) {
+    if (!firstSolves.length) return [];
+
+    const times = firstSolves.map(sub => sub.creationTimeSeconds * 1000);
+    const first = times.reduce((min, time) => Math.min(min, time), Infinity);
+    const last = times.reduce((max, time) => Math.max(max, time), now);
+    const periods = new Map();
+
+    for (let start = getPeriodStart(first, period); start.getTime() <= last; start = getNextPeriodStart(start, period)) {
+        const buckets = {};
+        SOLVE_RATING_BUCKETS.forEach(bucket => {
+            buckets[bucket.label] = 0;
+        });
+        buckets[UNRATED_BUCKET] = 0;
+        periods.set(start.getTime(), { start: start.getTime(), solved: 0, buckets, ratingSum: 0, ratedCount: 0 });
+    }
+
+    firstSolves.forEach((sub, i) => {
+        const entry = periods.get(getPeriodStart(times[i], period).getTime());
+        entry.solved++;
+        entry.buckets[getRatingBucket(sub.problem.rating)]++;
+        if (sub.problem.rating) {
+            entry.ratingSum += sub.problem.rating;
+            entry.ratedCount++;
+        }
+    });
+
+    return Array.from(periods.values()).map(({ ratingSum, ratedCount, ...entry }) => ({
+        ...entry,
+        averageRating: ratedCount ? Math.round(ratingSum / ratedCount) : null
+    }));
+}
+
+// Holt's linear exponential smoothing over the rating after each contest. The band is a rough
+// 95% interval: the spread of past one-step errors, widened with the square root of the horizon.
+export function forecastRating(ratingHistory, count = 5) {
+    const rated = getRatedContests(ratingHistory);
+    if (rated.length < 3) return { trend: 0, points: [] };
+
+    // Starts from the rating the first counted contest was entered with, so the first trend
+    // is a real rating change rather than the jump from 0.
+    const ratings = [rated[0].oldRating, ...rated.map(contest => contest.newRating)];
+    let level = ratings[0];
+    let trend = ratings[1] - ratings[0];
+    let squaredError = 0;
+
+    for (let i = 1; i < ratings.length; i++) {
+        const predicted = level + trend;
+        const previousLevel = level;
+        squaredError += (ratings[i] - predicted) ** 2;
+        level = FORECAST_ALPHA * ratings[i] + (1 - FORECAST_ALPHA) * predicted;
+        trend = FORECAST_BETA * (level - previousLevel) + (1 - FORECAST_BETA) * trend;
+    }
+
+    const spread = Math.sqrt(squaredError / (ratings.length - 1));
+    const points = Array.from({ length: count }, (_, i) => {
+        const step = i + 1;
+        const rating = Math.round(level + step * trend);
+        const margin = Math.round(FORECAST_Z * spread * Math.sqrt(step));
+        return { step, rating, lower: rating - margin, upper: rating + margin };
+    });
+
+    return { trend, points };
+}
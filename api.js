@@ -0,0 +1,278 @@
+const API_BASE = 'https://codeforces.com/api/';
+const API_SETTINGS_KEY = 'cf-metrics-api-settings';
+const API_MIN_INTERVAL = 2000; // Codeforces allows one call every two seconds
+const API_RETRIES = 3;
+
+export const DEFAULT_API_SETTINGS = {
+    corsProxy: '',
+    apiKey: '',
+    apiSecret: ''
+};
+
+export class CodeforcesApiError extends Error {
+    constructor(message, { retryable = false } = {}) {
+        super(message);
+        this.name = 'CodeforcesApiError';
+        this.retryable = retryable;
+    }
+}
+
+export class HandleNotFoundError extends CodeforcesApiError {
+    constructor(message, handle) {
+        super(message);
+        this.name = 'HandleNotFoundError';
+        this.handle = handle;
+    }
+}
+
+export class RateLimitError extends CodeforcesApiError {
+    constructor(message) {
+        super(message, { retryable: true });
+        this.name = 'RateLimitError';
+    }
+}
+
+export class NetworkError extends CodeforcesApiError {
+    constructor(message) {
+        super(message, { retryable: true });
+        this.name = 'NetworkError';
+    }
+}
+
+export class ApiUnavailableError extends CodeforcesApiError {
+    constructor(message) {
+        super(message, { retryable: true });
+        this.name = 'ApiUnavailableError';
+    }
+}
+
+export class MalformedResponseError extends CodeforcesApiError {
+    constructor(message) {
+        super(message);
+        this.name = 'MalformedResponseError';
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export function loadApiSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(API_SETTINGS_KEY));
+        return { ...DEFAULT_API_SETTINGS, ...stored };
+    } catch (error) {
+        return { ...DEFAULT_API_SETTINGS };
+    }
+}
+
+export function saveApiSettings(settings) {
+    localStorage.setItem(API_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+async function sha512Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-512', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function randomSalt(length = 6) {
+    let salt = '';
+    for (let i = 0; i < length; i++) {
+        salt += Math.floor(Math.random() * 10);
+    }
+    return salt;
+}
+
+// Codeforces signs "rand/method?params#secret" with parameters sorted by name, then value.
+export async function signParams(method, params, apiKey, apiSecret) {
+    const signed = { ...params, apiKey, time: Math.floor(Date.now() / 1000) };
+    const pairs = Object.entries(signed)
+        .map(([key, value]) => [key, String(value)])
+        .sort(([keyA, valueA], [keyB, valueB]) => {
+            if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+            return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+        });
+
+    const rand = randomSalt();
+    const query = pairs.map(([key, value]) => `${key}=${value}`).join('&');
+    const hash = await sha512Hex(`${rand}/${method}?${query}#${apiSecret}`);
+
+    return { ...signed, apiSig: `${rand}${hash}` };
+}
+
+// Codeforces reports failures as {status: "FAILED", comment}; the comment is all there is to
+// tell an unknown handle from a rate limit.
+function createFailedCallError(comment, httpStatus) {
+    if (comment.includes('Call limit exceeded')) {
+        return new RateLimitError(comment);
+    }
+    const notFound = comment.match(/User with handle (\S+) not found/i);
+    if (notFound) {
+        return new HandleNotFoundError(comment, notFound[1]);
+    }
+    if (httpStatus >= 500) {
+        return new ApiUnavailableError(comment);
+    }
+    return new CodeforcesApiError(comment);
+}
+
+export async function fetchApi(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new NetworkError(`Network error: ${error.message}`);
+    }
+
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        // During maintenance and outages Codeforces answers with an HTML page instead of JSON.
+        if (response.status === 429) {
+            throw new RateLimitError(`HTTP error! status: ${response.status}`);
+        }
+        if (response.status >= 500) {
+            throw new ApiUnavailableError(`HTTP error! status: ${response.status}`);
+        }
+        throw new MalformedResponseError(`HTTP error! status: ${response.status}`);
+    }
+
+    if (!data || typeof data !== 'object' || typeof data.status !== 'string') {
+        throw new MalformedResponseError('Unexpected response from the Codeforces API');
+    }
+    if (data.status !== 'OK') {
+        throw createFailedCallError(data.comment || 'API Error', response.status);
+    }
+    if (!('result' in data)) {
+        throw new MalformedResponseError('Codeforces API response has no result');
+    }
+    // Set by the service worker when it answers from its offline copy.
+    if (data.offlineSnapshot) {
+        window.dispatchEvent(new CustomEvent('cf-offline-snapshot', { detail: data.offlineSnapshot }));
+    }
+    return data.result;
+}
+
+// Turns any error thrown while talking to Codeforces into a message fit for the page.
+export function describeError(error) {
+    if (error instanceof HandleNotFoundError) {
+        return `No Codeforces user is called "${error.handle}". Check the spelling and try again.`;
+    }
+    if (error instanceof RateLimitError) {
+        return 'Codeforces is limiting requests right now. Wait a few seconds and retry.';
+    }
+    if (error instanceof NetworkError) {
+        return 'Could not reach Codeforces. Check your connection or CORS proxy and retry.';
+    }
+    if (error instanceof ApiUnavailableError) {
+        return 'Codeforces is temporarily unavailable, probably for maintenance. Try again later.';
+    }
+    if (error instanceof MalformedResponseError) {
+        return 'Codeforces sent a response this page could not read. Check the CORS proxy in the API settings.';
+    }
+    return error && error.message ? error.message : 'Something went wrong';
+}
+
+export function createCodeforcesClient(settings = {}, { minInterval = API_MIN_INTERVAL } = {}) {
+    let config = { ...DEFAULT_API_SETTINGS, ...settings };
+    let queue = Promise.resolve();
+    let lastCallAt = 0;
+
+    // Every attempt, retries included, waits its turn so the whole app stays under the limit.
+    function schedule(task) {
+        const run = queue.then(async () => {
+            const wait = lastCallAt + minInterval - Date.now();
+            if (wait > 0) await sleep(wait);
+            try {
+                return await task();
+            } finally {
+                lastCallAt = Date.now();
+            }
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    function hasCredentials() {
+        return Boolean(config.apiKey && config.apiSecret);
+    }
+
+    async function buildUrl(method, params) {
+        const query = hasCredentials()
+            ? await signParams(method, params, config.apiKey, config.apiSecret)
+            : params;
+        const search = Object.entries(query)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+            .join('&');
+        const url = `${API_BASE}${method}${search ? `?${search}` : ''}`;
+
+        return config.corsProxy ? `${config.corsProxy}${url}` : url;
+    }
+
+    async function call(method, params = {}) {
+        for (let i = 0; i < API_RETRIES; i++) {
+            try {
+                // Signatures embed a timestamp, so each attempt is signed afresh.
+                return await schedule(async () => fetchApi(await buildUrl(method, params)));
+            } catch (error) {
+                if (!error.retryable || i === API_RETRIES - 1) throw error;
+                await sleep(minInterval * 2 ** i);
+            }
+        }
+    }
+
+    return {
+        configure(newSettings) {
+            config = { ...config, ...newSettings };
+        },
+
+        hasCredentials,
+
+        call,
+
+        async getUserInfo(handle) {
+            const users = await call('user.info', { handles: handle });
+            return users[0];
+        },
+
+        getUserInfos(handles) {
+            return call('user.info', { handles: handles.join(';') });
+        },
+
+        getUserRating(handle) {
+            return call('user.rating', { handle });
+        },
+
+        getUserStatus(handle, from = 1, count = 1000) {
+            return call('user.status', { handle, from, count });
+        },
+
+        getProblemset() {
+            return call('problemset.problems');
+        },
+
+        getContestStandings(contestId, from = 1, count = 1) {
+            return call('contest.standings', { contestId, from, count });
+        },
+
+        getRatingChanges(contestId) {
+            return call('contest.ratingChanges', { contestId });
+        },
+
+        getContestList(gym = false) {
+            return call('contest.list', { gym });
+        },
+
+        getFriends(onlyOnline = false) {
+            if (!hasCredentials()) {
+                return Promise.reject(new CodeforcesApiError('An API key and secret are required to load friends'));
+            }
+            return call('user.friends', { onlyOnline });
+        }
+    };
+}
+
+export const cfApi = createCodeforcesClient(loadApiSettings());
@@ -0,0 +1,129 @@
+import { cfApi } from './api.js';
+
+const CACHE_DB_NAME = 'cf-metrics';
+const CACHE_DB_VERSION = 3;
+const PROFILE_STORE = 'profiles';
+const CONTEST_PROBLEMS_STORE = 'contestProblems';
+const PERFORMANCE_STORE = 'performances';
+
+let cacheDBPromise = null;
+let problemsetPromise = null;
+const contestListPromises = new Map();
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openCacheDB() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    if (!cacheDBPromise) {
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(PROFILE_STORE)) {
+                db.createObjectStore(PROFILE_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(CONTEST_PROBLEMS_STORE)) {
+                db.createObjectStore(CONTEST_PROBLEMS_STORE, { keyPath: 'contestId' });
+            }
+            if (!db.objectStoreNames.contains(PERFORMANCE_STORE)) {
+                db.createObjectStore(PERFORMANCE_STORE, { keyPath: 'key' });
+            }
+        };
+        cacheDBPromise = requestToPromise(request).catch(error => {
+            console.warn('IndexedDB unavailable, caching disabled:', error);
+            return null;
+        });
+    }
+
+    return cacheDBPromise;
+}
+
+export function profileKey(handle) {
+    return handle.trim().toLowerCase();
+}
+
+export async function readCachedProfile(handle) {
+    const db = await openCacheDB();
+    if (!db) return null;
+
+    const store = db.transaction(PROFILE_STORE, 'readonly').objectStore(PROFILE_STORE);
+    const profile = await requestToPromise(store.get(profileKey(handle)));
+    return profile || null;
+}
+
+export async function writeCachedProfile(profile) {
+    const db = await openCacheDB();
+    if (!db) return;
+
+    const store = db.transaction(PROFILE_STORE, 'readwrite').objectStore(PROFILE_STORE);
+    await requestToPromise(store.put({ ...profile, key: profileKey(profile.handle) }));
+}
+
+export async function readCachedContestProblems(contestId) {
+    const db = await openCacheDB();
+    if (!db) return null;
+
+    const store = db.transaction(CONTEST_PROBLEMS_STORE, 'readonly').objectStore(CONTEST_PROBLEMS_STORE);
+    const entry = await requestToPromise(store.get(contestId));
+    return entry ? entry.problems : null;
+}
+
+export async function writeCachedContestProblems(contestId, problems) {
+    const db = await openCacheDB();
+    if (!db) return;
+
+    const store = db.transaction(CONTEST_PROBLEMS_STORE, 'readwrite').objectStore(CONTEST_PROBLEMS_STORE);
+    await requestToPromise(store.put({ contestId, problems }));
+}
+
+function performanceKey(handle, contestId) {
+    return `${profileKey(handle)}/${contestId}`;
+}
+
+export async function readCachedPerformances(handle, contestIds) {
+    const db = await openCacheDB();
+    if (!db) return new Map();
+
+    const store = db.transaction(PERFORMANCE_STORE, 'readonly').objectStore(PERFORMANCE_STORE);
+    const entries = await Promise.all(
+        contestIds.map(contestId => requestToPromise(store.get(performanceKey(handle, contestId))))
+    );
+
+    return new Map(entries.filter(Boolean).map(entry => [entry.contestId, entry.performance]));
+}
+
+export async function writeCachedPerformance(handle, contestId, performance) {
+    const db = await openCacheDB();
+    if (!db) return;
+
+    const store = db.transaction(PERFORMANCE_STORE, 'readwrite').objectStore(PERFORMANCE_STORE);
+    await requestToPromise(store.put({ key: performanceKey(handle, contestId), contestId, performance }));
+}
+
+// The problemset is shared by several panels, so it is downloaded once per session.
+export function loadProblemset() {
+    if (!problemsetPromise) {
+        problemsetPromise = cfApi.getProblemset()
+            .then(result => result.problems)
+            .catch(error => {
+                problemsetPromise = null;
+                throw error;
+            });
+    }
+    return problemsetPromise;
+}
+
+export function loadContestList(gym = false) {
+    if (!contestListPromises.has(gym)) {
+        contestListPromises.set(gym, cfApi.getContestList(gym).catch(error => {
+            contestListPromises.delete(gym);
+            throw error;
+        }));
+    }
+    return contestListPromises.get(gym);
+}
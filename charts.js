@@ -0,0 +1,7 @@
+// Live Chart.js instances by name, shared so charts can be destroyed, redrawn and exported.
+export const charts = {};
+
+export const COMPARISON_COLORS = [
+    '#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6',
+    '#f97316', '#06b6d4', '#84cc16', '#ec4899', '#6366f1'
+];
@@ -0,0 +1,92 @@
+import { splitGymSubmissions } from './analytics.js';
+import { loadContestList } from './cache.js';
+import { escapeHtml } from './dom.js';
+
+export let contestMetadata = new Map();
+let gymRequestId = 0;
+
+export async function loadContestMetadata() {
+    if (contestMetadata.size > 0) return true;
+
+    try {
+        const contests = await loadContestList();
+        contestMetadata = new Map(contests.map(contest => [contest.id, contest]));
+        return true;
+    } catch (error) {
+        console.warn('Could not load contest list:', error);
+        return false;
+    }
+}
+
+function buildGymStats(gymSubmissions) {
+    const gyms = new Map();
+
+    gymSubmissions.forEach(sub => {
+        const contestId = sub.problem.contestId;
+        if (!gyms.has(contestId)) {
+            gyms.set(contestId, {
+                contestId,
+                solved: new Set(),
+                attempted: new Set(),
+                submissions: 0,
+                lastSubmission: 0
+            });
+        }
+
+        const gym = gyms.get(contestId);
+        gym.submissions++;
+        gym.attempted.add(sub.problem.index);
+        gym.lastSubmission = Math.max(gym.lastSubmission, sub.creationTimeSeconds);
+        if (sub.verdict === 'OK') {
+            gym.solved.add(sub.problem.index);
+        }
+    });
+
+    return Array.from(gyms.values()).sort((a, b) => b.lastSubmission - a.lastSubmission);
+}
+
+function renderGyms(gyms, gymNames) {
+    const tbody = document.getElementById('gymBody');
+    if (!tbody) return;
+
+    const solvedCount = gyms.reduce((sum, gym) => sum + gym.solved.size, 0);
+    const submissionCount = gyms.reduce((sum, gym) => sum + gym.submissions, 0);
+    document.getElementById('gymCount').textContent = gyms.length;
+    document.getElementById('gymSolved').textContent = solvedCount;
+    document.getElementById('gymSubmissions').textContent = submissionCount;
+
+    if (!gyms.length) {
+        tbody.innerHTML = '<tr><td colspan="5">No gym or mashup submissions.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = gyms.map(gym => {
+        const name = gymNames.get(gym.contestId);
+        const label = name ? escapeHtml(name) : `Mashup or private gym ${gym.contestId}`;
+        return `
+            <tr>
+                <td><a href="https://codeforces.com/gym/${gym.contestId}" target="_blank" rel="noopener">${label}</a></td>
+                <td>${gym.solved.size}</td>
+                <td>${gym.attempted.size - gym.solved.size}</td>
+                <td>${gym.submissions}</td>
+                <td>${new Date(gym.lastSubmission * 1000).toLocaleDateString()}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// The gym list is large, so it is only requested for users who have practiced in gyms.
+export async function updateGyms(submissions) {
+    const requestId = ++gymRequestId;
+    const gyms = buildGymStats(splitGymSubmissions(submissions).gym);
+    renderGyms(gyms, new Map());
+    if (!gyms.length) return;
+
+    try {
+        const gymList = await loadContestList(true);
+        if (requestId !== gymRequestId) return;
+        renderGyms(gyms, new Map(gymList.map(gym => [gym.id, gym.name])));
+    } catch (error) {
+        console.warn('Could not load gym names:', error);
+    }
+}
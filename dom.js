@@ -0,0 +1,120 @@
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function showElement(id) {
+    const element = document.getElementById(id);
+    if (element) {
+        element.style.display = 'block';
+        element.classList.add('visible');
+    }
+}
+
+export function hideElement(id) {
+    const element = document.getElementById(id);
+    if (element) {
+        element.style.display = 'none';
+        element.classList.remove('visible');
+    }
+}
+
+// `suggestion` is an optional {label, onSelect} offered next to the message, e.g. a corrected handle.
+export function showError(message, onRetry, suggestion) {
+    const errorElement = document.getElementById('errorMessage');
+    const errorText = document.querySelector('.error-text');
+    const retryButton = document.getElementById('errorRetryBtn');
+    const suggestionButton = document.getElementById('errorSuggestionBtn');
+
+    if (errorElement && errorText) {
+        errorText.textContent = message;
+        if (suggestionButton) {
+            suggestionButton.textContent = suggestion ? suggestion.label : '';
+            suggestionButton.style.display = suggestion ? '' : 'none';
+            suggestionButton.onclick = suggestion ? () => {
+                hideError();
+                suggestion.onSelect();
+            } : null;
+        }
+        if (retryButton) {
+            retryButton.style.display = onRetry ? '' : 'none';
+            retryButton.onclick = onRetry ? () => {
+                hideError();
+                onRetry();
+            } : null;
+        }
+        showElement('errorMessage');
+    }
+}
+
+export function hideError() {
+    hideElement('errorMessage');
+}
+
+// Replaces a section's content with an error and a Retry button, keeping its heading.
+export function showSectionError(element, message, onRetry) {
+    clearSectionError(element);
+    element.classList.add('section-failed');
+
+    const notice = document.createElement('div');
+    notice.className = 'section-error';
+    notice.innerHTML = `
+        <i class="fas fa-exclamation-triangle"></i>
+        <span>${escapeHtml(message)}</span>
+        ${onRetry ? '<button class="chart-action-btn error-retry"><i class="fas fa-redo"></i> Retry</button>' : ''}
+    `;
+    if (onRetry) {
+        notice.querySelector('button').addEventListener('click', onRetry);
+    }
+    element.appendChild(notice);
+}
+
+export function clearSectionError(element) {
+    element.classList.remove('section-failed');
+    element.querySelectorAll(':scope > .section-error').forEach(notice => notice.remove());
+}
+
+export function showLoading() {
+    showElement('loadingIndicator');
+    hideError();
+}
+
+export function hideLoading() {
+    hideElement('loadingIndicator');
+}
+
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export function formatDelta(delta) {
+    return delta >= 0 ? `+${delta}` : delta.toString();
+}
+
+export function parseHandleList(text) {
+    const seen = new Set();
+    return text.split(/[\s,;]+/).filter(handle => {
+        const key = handle.toLowerCase();
+        if (!handle || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+export function formatAge(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+
+    const days = Math.floor(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+// Reads an <input type="date"> value as local time, at the start or the end of that day.
+export function parseDateInput(value, endOfDay = false) {
+    return new Date(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}`).getTime();
+}
@@ -0,0 +1,179 @@
+import { getContestCategories, getProblemKey, getSharedContests } from './analytics.js';
+import { contestMetadata } from './contests.js';
+import { escapeHtml, formatDelta } from './dom.js';
+
+const DUEL_DIVISION_PRIORITY = ['Div. 1 + Div. 2', 'Educational', 'Global'];
+const OTHER_DIVISION = 'Other';
+
+let duelUsers = [];
+let duelPair = [0, 1];
+
+// Each contest lands in one row: combined, educational and global rounds get their own rows
+// rather than counting towards the divisions in their names.
+function getDuelDivision(contest, metadata) {
+    const categories = getContestCategories(contest, metadata);
+    return DUEL_DIVISION_PRIORITY.find(category => categories.includes(category)) || categories[0] || OTHER_DIVISION;
+}
+
+function getOnlySolved(solver, other) {
+    const otherKeys = new Set(other.accepted.map(sub => getProblemKey(sub.problem)));
+    return solver.accepted
+        .filter(sub => !otherKeys.has(getProblemKey(sub.problem)))
+        .map(sub => sub.problem)
+        .sort((a, b) => (b.rating || 0) - (a.rating || 0));
+}
+
+// The better rank wins a shared contest; equal ranks are a draw.
+export function buildDuel(first, second, metadata = new Map()) {
+    const tally = { wins: [0, 0], draws: 0 };
+    const divisions = new Map();
+    let largestGap = null;
+
+    const rows = getSharedContests([first, second]).map(({ contest, entries }) => {
+        const [a, b] = entries;
+        const winner = a.rank === b.rank ? null : (a.rank < b.rank ? 0 : 1);
+        const gap = Math.abs(a.rank - b.rank);
+        const division = getDuelDivision(contest, metadata);
+
+        if (!divisions.has(division)) {
+            divisions.set(division, { division, contests: 0, wins: [0, 0], draws: 0 });
+        }
+        const divisionStats = divisions.get(division);
+        divisionStats.contests++;
+
+        if (winner === null) {
+            tally.draws++;
+            divisionStats.draws++;
+        } else {
+            tally.wins[winner]++;
+            divisionStats.wins[winner]++;
+        }
+
+        const row = { contest, entries, winner, gap, division, tally: { wins: [...tally.wins], draws: tally.draws } };
+        if (winner !== null && (!largestGap || gap > largestGap.gap)) {
+            largestGap = row;
+        }
+        return row;
+    });
+
+    return {
+        rows,
+        tally,
+        largestGap,
+        divisions: Array.from(divisions.values()).sort((a, b) => b.contests - a.contests),
+        onlySolved: [getOnlySolved(first, second), getOnlySolved(second, first)]
+    };
+}
+
+function formatTally(tally, handles) {
+    return `${handles[0]} ${tally.wins[0]} – ${tally.wins[1]} ${handles[1]}` +
+        (tally.draws ? ` (${tally.draws} draw${tally.draws === 1 ? '' : 's'})` : '');
+}
+
+function renderDuelProblems(tbodyId, problems) {
+    const tbody = document.getElementById(tbodyId);
+    if (!problems.length) {
+        tbody.innerHTML = '<tr><td colspan="3">Nothing here.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = problems.map(problem => `
+        <tr>
+            <td><a href="https://codeforces.com/contest/${problem.contestId}/problem/${problem.index}" target="_blank" rel="noopener">${problem.contestId}${problem.index}. ${escapeHtml(problem.name)}</a></td>
+            <td>${problem.rating || '-'}</td>
+            <td>${escapeHtml((problem.tags || []).join(', '))}</td>
+        </tr>
+    `).join('');
+}
+
+function renderDuel() {
+    const section = document.getElementById('duelSection');
+    if (!section) return;
+
+    const [first, second] = duelPair.map(i => duelUsers[i]);
+    const handles = [first.user.handle, second.user.handle];
+    const duel = buildDuel(first, second, contestMetadata);
+
+    document.getElementById('duelTally').textContent = duel.rows.length ? formatTally(duel.tally, handles) : '-';
+    document.getElementById('duelShared').textContent = duel.rows.length;
+    document.getElementById('duelLargestGap').textContent = duel.largestGap
+        ? `${duel.largestGap.gap} places, ${handles[duel.largestGap.winner]} in ${duel.largestGap.contest.contestName}`
+        : '-';
+
+    document.querySelectorAll('.duel-first-handle').forEach(el => {
+        el.textContent = handles[0];
+    });
+    document.querySelectorAll('.duel-second-handle').forEach(el => {
+        el.textContent = handles[1];
+    });
+
+    document.getElementById('duelDivisionBody').innerHTML = duel.divisions.length
+        ? duel.divisions.map(({ division, contests, wins, draws }) => `
+            <tr>
+                <td>${division}</td>
+                <td>${contests}</td>
+                <td>${wins[0]}</td>
+                <td>${wins[1]}</td>
+                <td>${draws}</td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="5">No shared contests.</td></tr>';
+
+    document.getElementById('duelContestBody').innerHTML = duel.rows.length
+        ? duel.rows.slice().reverse().map(({ contest, entries, winner, tally }) => `
+            <tr>
+                <td><a href="https://codeforces.com/contest/${contest.contestId}" target="_blank" rel="noopener">${escapeHtml(contest.contestName)}</a></td>
+                <td>${new Date(contest.ratingUpdateTimeSeconds * 1000).toLocaleDateString()}</td>
+                ${entries.map(entry => {
+                    const delta = entry.newRating - entry.oldRating;
+                    return `<td>${entry.rank} <span class="${delta >= 0 ? 'positive' : 'negative'}">(${formatDelta(delta)})</span></td>`;
+                }).join('')}
+                <td>${winner === null ? 'Draw' : `<strong>${escapeHtml(handles[winner])}</strong>`}</td>
+                <td>${tally.wins[0]} – ${tally.wins[1]}</td>
+            </tr>
+        `).join('')
+        : '<tr><td colspan="6">These users have not entered the same rated contest.</td></tr>';
+
+    document.getElementById('duelFirstOnlyCount').textContent = duel.onlySolved[0].length;
+    document.getElementById('duelSecondOnlyCount').textContent = duel.onlySolved[1].length;
+    renderDuelProblems('duelFirstOnlyBody', duel.onlySolved[0]);
+    renderDuelProblems('duelSecondOnlyBody', duel.onlySolved[1]);
+}
+
+function populateDuelSelects() {
+    const options = duelUsers
+        .map(({ user }, i) => `<option value="${i}">${escapeHtml(user.handle)}</option>`)
+        .join('');
+    ['duelFirst', 'duelSecond'].forEach((id, i) => {
+        const select = document.getElementById(id);
+        select.innerHTML = options;
+        select.value = duelPair[i];
+    });
+}
+
+export function updateDuel(users) {
+    duelUsers = users;
+    duelPair = [0, 1];
+    if (!document.getElementById('duelSection') || users.length < 2) return;
+
+    populateDuelSelects();
+    renderDuel();
+}
+
+export function setupDuel() {
+    const section = document.getElementById('duelSection');
+    if (!section) return;
+
+    ['duelFirst', 'duelSecond'].forEach((id, i) => {
+        document.getElementById(id).addEventListener('change', e => {
+            const selected = parseInt(e.target.value);
+            // Picking the other side's user swaps the pair instead of duelling someone with themselves.
+            if (selected === duelPair[1 - i]) {
+                duelPair[1 - i] = duelPair[i];
+            }
+            duelPair[i] = selected;
+            populateDuelSelects();
+            renderDuel();
+        });
+    });
+}
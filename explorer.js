@@ -0,0 +1,282 @@
+import { getFirstSolves, getProblemKey } from './analytics.js';
+import { contestMetadata } from './contests.js';
+import { escapeHtml, parseDateInput } from './dom.js';
+import { groupAttemptsByProblem } from './quality.js';
+
+const EXPLORER_PAGE_SIZE = 25;
+const DEFAULT_EXPLORER_FILTERS = {
+    search: '',
+    minRating: null,
+    maxRating: null,
+    tags: [],
+    tagMode: 'and',
+    index: '',
+    from: '',
+    to: ''
+};
+
+const EXPLORER_COLUMNS = {
+    name: row => row.problem.name.toLowerCase(),
+    contest: row => row.problem.contestId,
+    index: row => row.problem.index,
+    rating: row => row.problem.rating || 0,
+    solved: row => row.solvedAt,
+    language: row => row.language.toLowerCase(),
+    attempts: row => row.attempts
+};
+
+let explorerRows = [];
+let explorerFilters = { ...DEFAULT_EXPLORER_FILTERS };
+let explorerSort = { key: 'solved', direction: -1 };
+let explorerPage = 1;
+
+// Rows come from processSubmissions; the solve date and language are taken from the first
+// accepted submission, and attempts are counted the way the quality panel counts them.
+function buildExplorerRows(acceptedSubmissions, submissions) {
+    const firstAccepted = new Map(getFirstSolves(submissions).map(sub => [getProblemKey(sub.problem), sub]));
+
+    const attempts = new Map(groupAttemptsByProblem(submissions)
+        .map(entry => [getProblemKey(entry.problem), entry.attempts]));
+
+    return acceptedSubmissions.map(sub => {
+        const key = getProblemKey(sub.problem);
+        const first = firstAccepted.get(key) || sub;
+        return {
+            problem: sub.problem,
+            solvedAt: first.creationTimeSeconds,
+            language: first.programmingLanguage,
+            attempts: attempts.get(key) || 1
+        };
+    });
+}
+
+function getContestLabel(contestId) {
+    const contest = contestMetadata.get(contestId);
+    return contest ? contest.name : `Contest ${contestId}`;
+}
+
+// Indexes match exactly, the way the levels chart groups them: "C" does not include C1 or C2.
+export function matchesExplorerFilters(row, filters) {
+    const { problem } = row;
+
+    if (filters.search) {
+        const search = filters.search.toLowerCase();
+        const text = `${problem.name} ${problem.contestId}${problem.index} ${getContestLabel(problem.contestId)}`.toLowerCase();
+        if (!text.includes(search)) return false;
+    }
+    if (filters.minRating !== null && (problem.rating || 0) < filters.minRating) return false;
+    if (filters.maxRating !== null && (!problem.rating || problem.rating > filters.maxRating)) return false;
+    if (filters.index && problem.index !== filters.index) return false;
+
+    if (filters.tags.length) {
+        const tags = problem.tags || [];
+        const hasTag = tag => tags.includes(tag);
+        if (filters.tagMode === 'and' ? !filters.tags.every(hasTag) : !filters.tags.some(hasTag)) return false;
+    }
+
+    const solvedAt = row.solvedAt * 1000;
+    if (filters.from && solvedAt < parseDateInput(filters.from)) return false;
+    if (filters.to && solvedAt > parseDateInput(filters.to, true)) return false;
+
+    return true;
+}
+
+function getExplorerResults() {
+    const getValue = EXPLORER_COLUMNS[explorerSort.key];
+    return explorerRows
+        .filter(row => matchesExplorerFilters(row, explorerFilters))
+        .sort((a, b) => {
+            const valueA = getValue(a);
+            const valueB = getValue(b);
+            if (valueA < valueB) return -explorerSort.direction;
+            if (valueA > valueB) return explorerSort.direction;
+            return 0;
+        });
+}
+
+function renderExplorerTags() {
+    const container = document.getElementById('explorerTagChips');
+    container.innerHTML = '';
+    explorerFilters.tags.forEach(tag => {
+        const chip = document.createElement('button');
+        chip.className = 'tag-chip';
+        chip.textContent = `${tag} ×`;
+        chip.title = 'Remove this tag';
+        chip.addEventListener('click', () => {
+            explorerFilters.tags = explorerFilters.tags.filter(t => t !== tag);
+            explorerPage = 1;
+            renderExplorer();
+        });
+        container.appendChild(chip);
+    });
+}
+
+export function renderExplorer() {
+    const tbody = document.getElementById('explorerBody');
+    if (!tbody) return;
+
+    const results = getExplorerResults();
+    const pageCount = Math.max(1, Math.ceil(results.length / EXPLORER_PAGE_SIZE));
+    explorerPage = Math.min(explorerPage, pageCount);
+    const page = results.slice((explorerPage - 1) * EXPLORER_PAGE_SIZE, explorerPage * EXPLORER_PAGE_SIZE);
+
+    renderExplorerTags();
+    document.getElementById('explorerCount').textContent = `${results.length} of ${explorerRows.length} problems`;
+    document.getElementById('explorerPageLabel').textContent = `Page ${explorerPage} of ${pageCount}`;
+    document.getElementById('explorerPrevBtn').disabled = explorerPage <= 1;
+    document.getElementById('explorerNextBtn').disabled = explorerPage >= pageCount;
+
+    document.querySelectorAll('#explorerTable th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sort === explorerSort.key && explorerSort.direction === 1);
+        th.classList.toggle('sorted-desc', th.dataset.sort === explorerSort.key && explorerSort.direction === -1);
+    });
+
+    if (!page.length) {
+        tbody.innerHTML = '<tr><td colspan="8">No solved problems match these filters.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = page.map(({ problem, solvedAt, language, attempts }) => `
+        <tr>
+            <td><a href="https://codeforces.com/contest/${problem.contestId}/problem/${problem.index}" target="_blank" rel="noopener">${escapeHtml(problem.name)}</a></td>
+            <td><a href="https://codeforces.com/contest/${problem.contestId}" target="_blank" rel="noopener">${escapeHtml(getContestLabel(problem.contestId))}</a></td>
+            <td>${problem.index}</td>
+            <td>${problem.rating || '-'}</td>
+            <td>${escapeHtml((problem.tags || []).join(', '))}</td>
+            <td>${new Date(solvedAt * 1000).toLocaleDateString()}</td>
+            <td>${escapeHtml(language)}</td>
+            <td>${attempts}</td>
+        </tr>
+    `).join('');
+}
+
+function syncExplorerControls() {
+    document.getElementById('explorerSearch').value = explorerFilters.search;
+    document.getElementById('explorerMinRating').value = explorerFilters.minRating ?? '';
+    document.getElementById('explorerMaxRating').value = explorerFilters.maxRating ?? '';
+    document.getElementById('explorerTagMode').value = explorerFilters.tagMode;
+    document.getElementById('explorerIndex').value = explorerFilters.index;
+    document.getElementById('explorerFrom').value = explorerFilters.from;
+    document.getElementById('explorerTo').value = explorerFilters.to;
+}
+
+function populateExplorerOptions() {
+    const tags = new Set();
+    const indexes = new Set();
+    explorerRows.forEach(({ problem }) => {
+        (problem.tags || []).forEach(tag => tags.add(tag));
+        indexes.add(problem.index);
+    });
+
+    document.getElementById('explorerTag').innerHTML = '<option value="">Add tag...</option>' +
+        Array.from(tags).sort().map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('');
+    document.getElementById('explorerIndex').innerHTML = '<option value="">Any index</option>' +
+        Array.from(indexes)
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(index => `<option value="${escapeHtml(index)}">${escapeHtml(index)}</option>`)
+            .join('');
+}
+
+export function updateExplorer(acceptedSubmissions, submissions) {
+    explorerRows = buildExplorerRows(acceptedSubmissions, submissions);
+    explorerFilters = { ...DEFAULT_EXPLORER_FILTERS };
+    explorerPage = 1;
+    populateExplorerOptions();
+    syncExplorerControls();
+    renderExplorer();
+}
+
+function setExplorerFilters(filters) {
+    explorerFilters = { ...DEFAULT_EXPLORER_FILTERS, ...filters };
+    explorerPage = 1;
+
+    const indexSelect = document.getElementById('explorerIndex');
+    if (filters.index && !Array.from(indexSelect.options).some(option => option.value === filters.index)) {
+        indexSelect.insertAdjacentHTML('beforeend', `<option value="${filters.index}">${filters.index}</option>`);
+    }
+
+    syncExplorerControls();
+    renderExplorer();
+}
+
+// Used by the levels, ratings and tags charts: the clicked value replaces the current filters.
+function applyExplorerFilter(filters) {
+    setExplorerFilters(filters);
+    document.getElementById('explorerSection').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function readExplorerNumber(id) {
+    const value = parseInt(document.getElementById(id).value);
+    return isNaN(value) ? null : value;
+}
+
+export function setupExplorer() {
+    const section = document.getElementById('explorerSection');
+    if (!section) return;
+
+    const readFilters = () => {
+        explorerFilters = {
+            ...explorerFilters,
+            search: document.getElementById('explorerSearch').value.trim(),
+            minRating: readExplorerNumber('explorerMinRating'),
+            maxRating: readExplorerNumber('explorerMaxRating'),
+            tagMode: document.getElementById('explorerTagMode').value,
+            index: document.getElementById('explorerIndex').value,
+            from: document.getElementById('explorerFrom').value,
+            to: document.getElementById('explorerTo').value
+        };
+        explorerPage = 1;
+        renderExplorer();
+    };
+
+    ['explorerSearch', 'explorerMinRating', 'explorerMaxRating'].forEach(id => {
+        document.getElementById(id).addEventListener('input', readFilters);
+    });
+    ['explorerTagMode', 'explorerIndex', 'explorerFrom', 'explorerTo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', readFilters);
+    });
+
+    document.getElementById('explorerTag').addEventListener('change', e => {
+        const tag = e.target.value;
+        if (tag && !explorerFilters.tags.includes(tag)) {
+            explorerFilters.tags = [...explorerFilters.tags, tag];
+            explorerPage = 1;
+            renderExplorer();
+        }
+        e.target.value = '';
+    });
+
+    document.getElementById('explorerResetBtn').addEventListener('click', () => setExplorerFilters({}));
+
+    document.getElementById('explorerPrevBtn').addEventListener('click', () => {
+        explorerPage--;
+        renderExplorer();
+    });
+    document.getElementById('explorerNextBtn').addEventListener('click', () => {
+        explorerPage++;
+        renderExplorer();
+    });
+
+    document.querySelectorAll('#explorerTable th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const key = th.dataset.sort;
+            explorerSort = {
+                key,
+                direction: explorerSort.key === key ? -explorerSort.direction : (['name', 'language', 'index'].includes(key) ? 1 : -1)
+            };
+            renderExplorer();
+        });
+    });
+}
+
+// Chart.js options that make each bar or slice of a chart open the explorer filtered to it.
+export function getExplorerChartHandlers(getFilters) {
+    return {
+        onClick: (event, elements) => {
+            if (elements.length) applyExplorerFilter(getFilters(elements[0].index));
+        },
+        onHover: (event, elements) => {
+            event.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+        }
+    };
+}
@@ -0,0 +1,167 @@
+import { escapeHtml, formatDelta, showError } from './dom.js';
+
+const REPORT_CHARTS = [
+    ['rating', 'Rating Timeline'],
+    ['levels', 'Problem Levels'],
+    ['ratings', 'Problem Ratings'],
+    ['tags', 'Problem Tags'],
+    ['skill', 'Tag Mastery'],
+    ['solveTrend', 'Solved Problems by Rating'],
+    ['ratingTrend', 'Rating Change'],
+    ['difficultyTrend', 'Average Difficulty'],
+    ['verdicts', 'Verdicts'],
+    ['languages', 'Languages'],
+    ['attempts', 'Attempts by Rating']
+];
+
+export function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function toCsvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n');
+}
+
+function formatIsoDate(seconds) {
+    return new Date(seconds * 1000).toISOString().slice(0, 10);
+}
+
+export function exportProfileJson(model) {
+    downloadFile(
+        `${model.user.handle}-analysis.json`,
+        JSON.stringify(model, null, 2),
+        'application/json'
+    );
+}
+
+export function exportContestsCsv(model) {
+    const rows = model.contests.map(contest => [
+        contest.contestId,
+        contest.contestName,
+        contest.rank,
+        contest.oldRating,
+        contest.newRating,
+        contest.delta,
+        contest.date
+    ]);
+
+    downloadFile(
+        `${model.user.handle}-contests.csv`,
+        toCsv(['Contest ID', 'Contest', 'Rank', 'Old Rating', 'New Rating', 'Delta', 'Date'], rows),
+        'text/csv'
+    );
+}
+
+export function exportProblemsCsv(handle, acceptedSubmissions) {
+    const rows = acceptedSubmissions.map(sub => [
+        sub.problem.contestId,
+        sub.problem.index,
+        sub.problem.name,
+        sub.problem.rating || '',
+        sub.problem.tags.join('; '),
+        formatIsoDate(sub.creationTimeSeconds),
+        sub.programmingLanguage
+    ]);
+
+    downloadFile(
+        `${handle}-problems.csv`,
+        toCsv(['Contest ID', 'Index', 'Name', 'Rating', 'Tags', 'Solved', 'Language'], rows),
+        'text/csv'
+    );
+}
+
+export function openPrintReport(model, chartInstances) {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        showError('Allow pop-ups for this site to open the printable report');
+        return;
+    }
+
+    const { user, contestStats, problemStats, contests } = model;
+    const images = REPORT_CHARTS
+        .filter(([key]) => chartInstances[key] && chartInstances[key].canvas && chartInstances[key].canvas.isConnected)
+        .map(([key, title]) => `
+            <figure>
+                <figcaption>${title}</figcaption>
+                <img src="${chartInstances[key].toBase64Image()}" alt="${title}">
+            </figure>
+        `)
+        .join('');
+
+    const contestRows = contests.slice().reverse().map(contest => `
+        <tr>
+            <td>${escapeHtml(contest.contestName)}</td>
+            <td>${contest.rank}</td>
+            <td>${formatDelta(contest.delta)}</td>
+            <td>${contest.newRating}</td>
+            <td>${contest.date}</td>
+        </tr>
+    `).join('');
+
+    const topTags = Object.entries(problemStats.tags)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 10)
+        .map(([tag, count]) => `${escapeHtml(tag)} (${count})`)
+        .join(', ');
+
+    reportWindow.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(user.handle)} – CF Metrics Report</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; margin: 2rem; }
+        h1 { margin-bottom: 0.25rem; }
+        .meta { color: #6b7280; margin-bottom: 1.5rem; }
+        .stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 1rem; margin-bottom: 1.5rem; }
+        .stats div { border: 1px solid #e5e7eb; border-radius: 8px; padding: 0.75rem; }
+        .stats strong { display: block; font-size: 1.25rem; }
+        .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+        figure { margin: 0; break-inside: avoid; }
+        figcaption { font-weight: 600; margin-bottom: 0.25rem; }
+        img { width: 100%; }
+        table { width: 100%; border-collapse: collapse; margin-top: 1rem; font-size: 0.85rem; }
+        th, td { text-align: left; padding: 0.35rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+        tr { break-inside: avoid; }
+        @page { margin: 1.5cm; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(user.handle)}</h1>
+    <div class="meta">${user.rank || 'Unrated'} · generated ${new Date(model.generatedAt).toLocaleString()}</div>
+    <div class="stats">
+        <div>Rating<strong>${user.rating || 'Unrated'}</strong></div>
+        <div>Max Rating<strong>${user.maxRating || 'N/A'}</strong></div>
+        <div>Problems Solved<strong>${model.solvedCount}</strong></div>
+        <div>Contests<strong>${contestStats.attended}</strong></div>
+    </div>
+    <p><strong>Top tags:</strong> ${topTags || '-'}</p>
+    <div class="charts">${images}</div>
+    <h2>Contest History${model.contestFilter !== 'All' ? ` (${model.contestFilter})` : ''}</h2>
+    <table>
+        <thead><tr><th>Contest</th><th>Rank</th><th>Δ</th><th>New Rating</th><th>Date</th></tr></thead>
+        <tbody>${contestRows}</tbody>
+    </table>
+</body>
+</html>`);
+    reportWindow.document.close();
+
+    if (reportWindow.document.readyState === 'complete') {
+        reportWindow.print();
+    } else {
+        reportWindow.addEventListener('load', () => reportWindow.print());
+    }
+}
@@ -0,0 +1,302 @@
+import { getFirstSolves } from './analytics.js';
+import { profileKey } from './cache.js';
+import { DAY_MS, escapeHtml, hideError, parseDateInput, showError } from './dom.js';
+import { downloadFile } from './export.js';
+
+const GOALS_KEY_PREFIX = 'cf-metrics-goals:';
+const RATING_VELOCITY_DAYS = 90;
+const SOLVE_VELOCITY_DAYS = 30;
+const GOAL_STATUS_LABELS = {
+    'completed': 'Completed',
+    'on-track': 'On track',
+    'behind': 'Behind schedule',
+    'missed': 'Missed'
+};
+
+let goalContext = null;
+
+function getGoalsKey(handle) {
+    return `${GOALS_KEY_PREFIX}${profileKey(handle)}`;
+}
+
+function loadGoals(handle) {
+    try {
+        const goals = JSON.parse(localStorage.getItem(getGoalsKey(handle)));
+        return Array.isArray(goals) ? goals.filter(isValidGoal) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveGoals(handle, goals) {
+    localStorage.setItem(getGoalsKey(handle), JSON.stringify(goals));
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !isNaN(parseDateInput(value));
+}
+
+function isValidGoal(goal) {
+    return goal
+        && (goal.type === 'rating' || goal.type === 'solves')
+        && Number.isFinite(goal.target) && goal.target > 0
+        && isValidDate(goal.startDate)
+        && isValidDate(goal.deadline);
+}
+
+function toDateInputValue(date) {
+    const offset = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+}
+
+function createGoalId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getRatingAt(ratingHistory, time) {
+    let rating = 0;
+    ratingHistory.forEach(contest => {
+        if (contest.ratingUpdateTimeSeconds * 1000 <= time) {
+            rating = contest.newRating;
+        }
+    });
+    return rating;
+}
+
+function matchesSolveGoal(goal, sub) {
+    if (goal.minRating && (sub.problem.rating || 0) < goal.minRating) return false;
+    if (goal.tag && !(sub.problem.tags || []).includes(goal.tag)) return false;
+    return true;
+}
+
+function describeGoal(goal) {
+    const deadline = new Date(parseDateInput(goal.deadline)).toLocaleDateString();
+
+    if (goal.type === 'rating') {
+        return `Reach ${goal.target} rating by ${deadline}`;
+    }
+
+    const filters = [
+        goal.minRating ? `rated ${goal.minRating}+` : '',
+        goal.tag ? `tagged ${goal.tag}` : ''
+    ].filter(Boolean).join(' ');
+    return `Solve ${goal.target} problems ${filters ? `${filters} ` : ''}by ${deadline}`;
+}
+
+// Progress is measured from the goal's start date; the projection extrapolates the recent
+// pace (rating gained over the last 90 days, or matching solves over the last 30).
+function evaluateGoal(goal, context) {
+    const now = Date.now();
+    const start = parseDateInput(goal.startDate);
+    const deadline = parseDateInput(goal.deadline, true);
+    let startValue;
+    let current;
+    let velocity;
+
+    if (goal.type === 'rating') {
+        startValue = goal.startRating !== undefined ? goal.startRating : getRatingAt(context.ratingHistory, start);
+        current = context.rating;
+        const pastRating = getRatingAt(context.ratingHistory, now - RATING_VELOCITY_DAYS * DAY_MS);
+        velocity = pastRating ? (current - pastRating) / RATING_VELOCITY_DAYS : 0;
+    } else {
+        const matching = context.solves.filter(sub => matchesSolveGoal(goal, sub));
+        startValue = 0;
+        current = matching.filter(sub => {
+            const time = sub.creationTimeSeconds * 1000;
+            return time >= start && time <= deadline;
+        }).length;
+        const recentStart = Math.max(start, now - SOLVE_VELOCITY_DAYS * DAY_MS);
+        const recentDays = Math.max(1, (now - recentStart) / DAY_MS);
+        velocity = matching.filter(sub => sub.creationTimeSeconds * 1000 >= recentStart).length / recentDays;
+    }
+
+    const span = goal.target - startValue;
+    const progress = current >= goal.target ? 1 : Math.max(0, Math.min(1, span > 0 ? (current - startValue) / span : 0));
+    const remaining = goal.target - current;
+
+    let projected = null;
+    if (remaining <= 0) {
+        projected = now;
+    } else if (velocity > 0) {
+        projected = now + (remaining / velocity) * DAY_MS;
+    }
+
+    let status = 'on-track';
+    if (progress >= 1) {
+        status = 'completed';
+    } else if (now > deadline) {
+        status = 'missed';
+    } else if (projected === null || projected > deadline) {
+        status = 'behind';
+    }
+
+    return { current, progress, projected, status };
+}
+
+function renderGoals() {
+    const list = document.getElementById('goalsList');
+    if (!list || !goalContext) return;
+
+    const goals = loadGoals(goalContext.handle);
+    if (!goals.length) {
+        list.innerHTML = '<p class="panel-message">No goals yet. Add one above to track your progress.</p>';
+        return;
+    }
+
+    list.innerHTML = goals.map(goal => {
+        const { current, progress, projected, status } = evaluateGoal(goal, goalContext);
+        let projection = 'No recent progress to project from';
+        if (status === 'completed') {
+            projection = 'Goal reached';
+        } else if (projected !== null) {
+            projection = `Projected completion: ${new Date(projected).toLocaleDateString()}`;
+        }
+
+        return `
+            <div class="goal-item ${status}">
+                <div class="goal-header">
+                    <span class="goal-title">${escapeHtml(describeGoal(goal))}</span>
+                    <button class="nav-icon-btn goal-delete" data-goal-id="${escapeHtml(goal.id)}" title="Delete goal">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <div class="goal-progress">
+                    <div class="goal-progress-bar" style="width: ${Math.round(progress * 100)}%"></div>
+                </div>
+                <div class="goal-meta">
+                    <span>${current} / ${goal.target} · ${GOAL_STATUS_LABELS[status]}</span>
+                    <span>${projection}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+export function updateGoals(user, ratingHistory, submissions) {
+    const solves = getFirstSolves(submissions);
+    goalContext = {
+        handle: user.handle,
+        rating: user.rating || 0,
+        ratingHistory,
+        solves
+    };
+
+    const tags = new Set();
+    solves.forEach(sub => (sub.problem.tags || []).forEach(tag => tags.add(tag)));
+    document.getElementById('goalTagOptions').innerHTML = Array.from(tags)
+        .sort()
+        .map(tag => `<option value="${escapeHtml(tag)}"></option>`)
+        .join('');
+
+    renderGoals();
+}
+
+function updateGoalForm() {
+    const isSolveGoal = document.getElementById('goalType').value === 'solves';
+    document.querySelectorAll('.goal-solve-field').forEach(field => {
+        field.style.display = isSolveGoal ? '' : 'none';
+    });
+    document.getElementById('goalTarget').placeholder = isSolveGoal ? 'Problems' : 'Target rating';
+}
+
+function addGoal() {
+    if (!goalContext) return;
+
+    const type = document.getElementById('goalType').value;
+    const target = parseInt(document.getElementById('goalTarget').value);
+    const minRating = parseInt(document.getElementById('goalMinRating').value);
+    const tag = document.getElementById('goalTag').value.trim();
+    const startDate = document.getElementById('goalStartDate').value;
+    const deadline = document.getElementById('goalDeadline').value;
+
+    const goal = {
+        id: createGoalId(),
+        type,
+        target,
+        startDate,
+        deadline
+    };
+    if (type === 'rating') {
+        goal.startRating = getRatingAt(goalContext.ratingHistory, parseDateInput(startDate)) || goalContext.rating;
+    } else {
+        if (minRating) goal.minRating = minRating;
+        if (tag) goal.tag = tag;
+    }
+
+    if (!isValidGoal(goal) || parseDateInput(deadline) < parseDateInput(startDate)) {
+        showError('Enter a target and a deadline on or after the start date');
+        return;
+    }
+
+    hideError();
+    saveGoals(goalContext.handle, [...loadGoals(goalContext.handle), goal]);
+    document.getElementById('goalTarget').value = '';
+    renderGoals();
+}
+
+function deleteGoal(id) {
+    const goals = loadGoals(goalContext.handle).filter(goal => goal.id !== id);
+    saveGoals(goalContext.handle, goals);
+    renderGoals();
+}
+
+function exportGoals() {
+    if (!goalContext) return;
+
+    downloadFile(
+        `${goalContext.handle}-goals.json`,
+        JSON.stringify({ handle: goalContext.handle, goals: loadGoals(goalContext.handle) }, null, 2),
+        'application/json'
+    );
+}
+
+async function importGoals(file) {
+    if (!goalContext || !file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+        const imported = (Array.isArray(data) ? data : data.goals || []).filter(isValidGoal);
+        if (!imported.length) {
+            showError('No valid goals found in that file');
+            return;
+        }
+
+        const goals = loadGoals(goalContext.handle);
+        const ids = new Set(goals.map(goal => goal.id));
+        imported.forEach(goal => {
+            goals.push({ ...goal, id: goal.id && !ids.has(goal.id) ? goal.id : createGoalId() });
+        });
+
+        hideError();
+        saveGoals(goalContext.handle, goals);
+        renderGoals();
+    } catch (error) {
+        showError(`Could not import goals: ${error.message}`);
+    }
+}
+
+export function setupGoals() {
+    const typeSelect = document.getElementById('goalType');
+    if (!typeSelect) return;
+
+    const today = new Date();
+    document.getElementById('goalStartDate').value = toDateInputValue(today);
+    document.getElementById('goalDeadline').value = toDateInputValue(new Date(today.getTime() + 90 * DAY_MS));
+    updateGoalForm();
+
+    typeSelect.addEventListener('change', updateGoalForm);
+    document.getElementById('addGoalBtn').addEventListener('click', addGoal);
+    document.getElementById('exportGoalsBtn').addEventListener('click', exportGoals);
+
+    const importInput = document.getElementById('importGoalsInput');
+    document.getElementById('importGoalsBtn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        importGoals(importInput.files[0]);
+        importInput.value = '';
+    });
+
+    document.getElementById('goalsList').addEventListener('click', e => {
+        const button = e.target.closest('.goal-delete');
+        if (button) deleteGoal(button.dataset.goalId);
+    });
+}
@@ -0,0 +1,44 @@
+import { hideElement, showElement } from './dom.js';
+
+let offlineSnapshotTime = null;
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+// Keeps the oldest snapshot time seen since the last reset, since a profile is assembled
+// from several responses that may have been cached at different times.
+function recordOfflineSnapshot(time) {
+    offlineSnapshotTime = offlineSnapshotTime === null ? time : Math.min(offlineSnapshotTime, time);
+}
+
+export function resetOfflineSnapshot() {
+    offlineSnapshotTime = null;
+    updateOfflineBanner();
+}
+
+function updateOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    if (!banner) return;
+
+    if (offlineSnapshotTime === null) {
+        hideElement('offlineBanner');
+        return;
+    }
+
+    document.getElementById('offlineSnapshotDate').textContent = new Date(offlineSnapshotTime).toLocaleString();
+    showElement('offlineBanner');
+}
+
+export function setupOffline() {
+    registerServiceWorker();
+
+    window.addEventListener('cf-offline-snapshot', event => {
+        recordOfflineSnapshot(event.detail);
+        updateOfflineBanner();
+    });
+}
@@ -0,0 +1,136 @@
+import { cfApi, describeError } from './api.js';
+import { readCachedPerformances, writeCachedPerformance } from './cache.js';
+import { escapeHtml, formatDelta } from './dom.js';
+import { calculatePerformance, getEffectiveRating, predictRatingDelta } from './rating-math.js';
+
+export const PERFORMANCE_DISPLAY_CAP = 4000;
+const PREDICTOR_CONTEST_COUNT = 10;
+
+let performanceByContest = new Map();
+let performanceHandle = null;
+let performanceRequestId = 0;
+let ratingChangesCache = { contestId: null, changes: null };
+
+// A rated round's full rating changes can run to several megabytes, so only the most
+// recently used contest is kept in memory.
+async function loadRatingChanges(contestId) {
+    if (ratingChangesCache.contestId !== contestId) {
+        const changes = await cfApi.getRatingChanges(contestId);
+        ratingChangesCache = { contestId, changes };
+    }
+    return ratingChangesCache.changes;
+}
+
+function splitParticipants(changes, handle) {
+    const handleKey = handle.toLowerCase();
+    const others = [];
+    let self = null;
+
+    changes.forEach(change => {
+        if (change.handle.toLowerCase() === handleKey) {
+            self = change;
+        } else {
+            others.push({ rating: getEffectiveRating(change.oldRating), rank: change.rank });
+        }
+    });
+
+    return { self, others };
+}
+
+export function getPerformance(contestId) {
+    return performanceByContest.get(contestId);
+}
+
+export function formatPerformance(performance) {
+    return performance >= PERFORMANCE_DISPLAY_CAP ? `${PERFORMANCE_DISPLAY_CAP}+` : performance.toString();
+}
+
+export async function loadPerformances(handle, ratingHistory) {
+    const requestId = ++performanceRequestId;
+    performanceHandle = handle;
+    performanceByContest = new Map();
+
+    const cached = await readCachedPerformances(handle, ratingHistory.map(contest => contest.contestId))
+        .catch(() => new Map());
+    if (requestId !== performanceRequestId) return false;
+
+    performanceByContest = cached;
+    return true;
+}
+
+export async function calculateMissingPerformances(contests, onProgress) {
+    const requestId = performanceRequestId;
+    const handle = performanceHandle;
+    const missing = contests.filter(contest => !performanceByContest.has(contest.contestId));
+
+    for (let i = 0; i < missing.length; i++) {
+        onProgress(i, missing.length);
+
+        const { contestId } = missing[i];
+        try {
+            const { self, others } = splitParticipants(await loadRatingChanges(contestId), handle);
+            if (requestId !== performanceRequestId) return;
+            if (!self) continue;
+
+            const performance = calculatePerformance(others, self.rank);
+            performanceByContest.set(contestId, performance);
+            await writeCachedPerformance(handle, contestId, performance).catch(() => {});
+        } catch (error) {
+            console.warn(`Could not calculate performance for contest ${contestId}:`, error);
+        }
+    }
+
+    if (requestId === performanceRequestId) {
+        onProgress(missing.length, missing.length);
+    }
+}
+
+export function populatePredictor(ratingHistory) {
+    const select = document.getElementById('predictorContest');
+    if (!select) return;
+
+    select.innerHTML = ratingHistory
+        .slice(-PREDICTOR_CONTEST_COUNT)
+        .reverse()
+        .map(contest => `<option value="${contest.contestId}">${escapeHtml(contest.contestName)}</option>`)
+        .join('');
+
+    document.getElementById('predictorResult').textContent = '';
+}
+
+export async function predictContestResult(ratingHistory) {
+    const result = document.getElementById('predictorResult');
+    const contestId = parseInt(document.getElementById('predictorContest').value);
+    const rank = parseInt(document.getElementById('predictorRank').value);
+    const contest = ratingHistory.find(c => c.contestId === contestId);
+
+    if (!contest || !rank || rank < 1) {
+        result.textContent = 'Pick a contest and enter a rank of 1 or more.';
+        return;
+    }
+
+    result.textContent = 'Loading contest results...';
+
+    try {
+        const { self, others } = splitParticipants(await loadRatingChanges(contestId), performanceHandle);
+        const rating = self ? getEffectiveRating(self.oldRating) : getEffectiveRating(contest.oldRating);
+
+        result.textContent = 'Calculating...';
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const clampedRank = Math.min(rank, others.length + 1);
+        const delta = predictRatingDelta(others, rating, clampedRank);
+        const performance = calculatePerformance(others, clampedRank);
+        const actualDelta = contest.newRating - contest.oldRating;
+
+        result.innerHTML = `
+            Rank ${clampedRank} of ${others.length + 1}:
+            estimated <strong class="${delta >= 0 ? 'positive' : 'negative'}">${formatDelta(delta)}</strong>,
+            performance ≈ ${formatPerformance(performance)}
+            (actual: rank ${contest.rank}, ${formatDelta(actualDelta)})
+        `;
+    } catch (error) {
+        console.error('Error predicting rating change:', error);
+        result.textContent = `Could not load contest results: ${describeError(error)}`;
+    }
+}
@@ -0,0 +1,306 @@
+import { charts } from './charts.js';
+import { escapeHtml } from './dom.js';
+import { createChartOptions, getChartTheme } from './theme.js';
+
+const VERDICT_LABELS = {
+    OK: 'Accepted',
+    WRONG_ANSWER: 'Wrong Answer',
+    TIME_LIMIT_EXCEEDED: 'Time Limit',
+    MEMORY_LIMIT_EXCEEDED: 'Memory Limit',
+    RUNTIME_ERROR: 'Runtime Error',
+    COMPILATION_ERROR: 'Compilation Error',
+    IDLENESS_LIMIT_EXCEEDED: 'Idleness Limit',
+    CHALLENGED: 'Hacked',
+    SKIPPED: 'Skipped',
+    PARTIAL: 'Partial'
+};
+
+const VERDICT_COLORS = {
+    OK: '#10b981',
+    WRONG_ANSWER: '#ef4444',
+    TIME_LIMIT_EXCEEDED: '#f59e0b',
+    MEMORY_LIMIT_EXCEEDED: '#8b5cf6',
+    RUNTIME_ERROR: '#f97316',
+    COMPILATION_ERROR: '#6b7280',
+    CHALLENGED: '#ec4899'
+};
+
+// Codeforces does not penalize these, so they are not counted as attempts.
+const IGNORED_ATTEMPT_VERDICTS = new Set(['COMPILATION_ERROR', 'SKIPPED', 'TESTING']);
+const LANGUAGE_LIMIT = 8;
+const QUALITY_TAG_LIMIT = 12;
+const UNSOLVED_LIMIT = 50;
+
+export function groupAttemptsByProblem(submissions) {
+    const problems = new Map();
+
+    submissions
+        .filter(sub => !IGNORED_ATTEMPT_VERDICTS.has(sub.verdict))
+        .slice()
+        .sort((a, b) => a.creationTimeSeconds - b.creationTimeSeconds)
+        .forEach(sub => {
+            const key = `${sub.problem.contestId}-${sub.problem.index}`;
+            if (!problems.has(key)) {
+                problems.set(key, { problem: sub.problem, attempts: 0, solved: false, lastSubmission: null });
+            }
+            const entry = problems.get(key);
+            entry.lastSubmission = sub;
+            if (entry.solved) return;
+
+            entry.attempts++;
+            if (sub.verdict === 'OK') entry.solved = true;
+        });
+
+    return Array.from(problems.values());
+}
+
+function addAttempts(groups, key, attempts) {
+    if (!groups[key]) groups[key] = { problems: 0, attempts: 0 };
+    groups[key].problems++;
+    groups[key].attempts += attempts;
+}
+
+function analyzeSubmissionQuality(submissions) {
+    const verdicts = {};
+    const languages = {};
+    submissions.forEach(sub => {
+        const verdict = sub.verdict || 'TESTING';
+        verdicts[verdict] = (verdicts[verdict] || 0) + 1;
+        languages[sub.programmingLanguage] = (languages[sub.programmingLanguage] || 0) + 1;
+    });
+
+    const attempts = groupAttemptsByProblem(submissions);
+    const solved = attempts.filter(entry => entry.solved);
+    const attemptsByRating = {};
+    const attemptsByTag = {};
+
+    solved.forEach(entry => {
+        if (entry.problem.rating) {
+            addAttempts(attemptsByRating, Math.floor(entry.problem.rating / 100) * 100, entry.attempts);
+        }
+        entry.problem.tags.forEach(tag => addAttempts(attemptsByTag, tag, entry.attempts));
+    });
+
+    const unsolved = attempts
+        .filter(entry => !entry.solved)
+        .sort((a, b) => b.attempts - a.attempts);
+
+    return {
+        verdicts,
+        languages,
+        solvedCount: solved.length,
+        firstTryCount: solved.filter(entry => entry.attempts === 1).length,
+        totalAttempts: solved.reduce((sum, entry) => sum + entry.attempts, 0),
+        attemptsByRating,
+        attemptsByTag,
+        unsolved
+    };
+}
+
+function averageAttempts(group) {
+    return group.attempts / group.problems;
+}
+
+function createVerdictsChart(verdicts) {
+    const ctx = document.getElementById('verdictsChart');
+    if (!ctx) return;
+
+    if (charts.verdicts) {
+        charts.verdicts.destroy();
+    }
+
+    const sortedVerdicts = Object.entries(verdicts).sort(([, a], [, b]) => b - a);
+
+    charts.verdicts = new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            labels: sortedVerdicts.map(([verdict]) => VERDICT_LABELS[verdict] || verdict),
+            datasets: [{
+                label: 'Submissions',
+                data: sortedVerdicts.map(([, count]) => count),
+                backgroundColor: sortedVerdicts.map(([verdict]) => VERDICT_COLORS[verdict] || '#06b6d4'),
+                borderWidth: 2,
+                borderColor: getChartTheme().surface
+            }]
+        },
+        options: createChartOptions({
+            plugins: {
+                legend: {
+                    position: 'right',
+                    labels: {
+                        usePointStyle: true,
+                        padding: 12
+                    }
+                }
+            }
+        })
+    });
+}
+
+function createLanguagesChart(languages) {
+    const ctx = document.getElementById('languagesChart');
+    if (!ctx) return;
+
+    if (charts.languages) {
+        charts.languages.destroy();
+    }
+
+    const sortedLanguages = Object.entries(languages).sort(([, a], [, b]) => b - a);
+    const top = sortedLanguages.slice(0, LANGUAGE_LIMIT);
+    const otherCount = sortedLanguages.slice(LANGUAGE_LIMIT).reduce((sum, [, count]) => sum + count, 0);
+    if (otherCount) top.push(['Other', otherCount]);
+
+    charts.languages = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: top.map(([language]) => language),
+            datasets: [{
+                label: 'Submissions',
+                data: top.map(([, count]) => count),
+                backgroundColor: 'rgba(139, 92, 246, 0.8)',
+                borderColor: '#8b5cf6',
+                borderWidth: 2,
+                borderRadius: 8,
+                borderSkipped: false
+            }]
+        },
+        options: createChartOptions({
+            indexAxis: 'y',
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    borderColor: '#8b5cf6',
+                    displayColors: false
+                }
+            },
+            scales: {
+                x: {
+                    beginAtZero: true
+                },
+                y: {
+                    grid: {
+                        display: false
+                    }
+                }
+            }
+        })
+    });
+}
+
+function createAttemptsChart(attemptsByRating) {
+    const ctx = document.getElementById('attemptsChart');
+    if (!ctx) return;
+
+    if (charts.attempts) {
+        charts.attempts.destroy();
+    }
+
+    const sortedBuckets = Object.entries(attemptsByRating)
+        .sort(([a], [b]) => parseInt(a) - parseInt(b));
+
+    charts.attempts = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: sortedBuckets.map(([rating]) => rating),
+            datasets: [{
+                label: 'Avg. attempts to AC',
+                data: sortedBuckets.map(([, group]) => averageAttempts(group).toFixed(2)),
+                backgroundColor: 'rgba(245, 158, 11, 0.8)',
+                borderColor: '#f59e0b',
+                borderWidth: 2,
+                borderRadius: 8,
+                borderSkipped: false
+            }]
+        },
+        options: createChartOptions({
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    borderColor: '#f59e0b',
+                    displayColors: false,
+                    callbacks: {
+                        afterLabel: context => `${sortedBuckets[context.dataIndex][1].problems} problems solved`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        display: false
+                    }
+                },
+                y: {
+                    beginAtZero: true
+                }
+            }
+        })
+    });
+}
+
+function updateAttemptsByTagTable(attemptsByTag) {
+    const tbody = document.getElementById('attemptsByTagBody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    Object.entries(attemptsByTag)
+        .sort(([, a], [, b]) => b.problems - a.problems)
+        .slice(0, QUALITY_TAG_LIMIT)
+        .sort(([, a], [, b]) => averageAttempts(b) - averageAttempts(a))
+        .forEach(([tag, group]) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHtml(tag)}</td>
+                <td>${group.problems}</td>
+                <td>${averageAttempts(group).toFixed(2)}</td>
+            `;
+            tbody.appendChild(row);
+        });
+}
+
+function updateUnsolvedTable(unsolved) {
+    const tbody = document.getElementById('unsolvedBody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    if (!unsolved.length) {
+        tbody.innerHTML = '<tr><td colspan="4">Every attempted problem has been solved.</td></tr>';
+        return;
+    }
+
+    unsolved.slice(0, UNSOLVED_LIMIT).forEach(({ problem, attempts, lastSubmission }) => {
+        const row = document.createElement('tr');
+        const verdict = VERDICT_LABELS[lastSubmission.verdict] || lastSubmission.verdict;
+
+        row.innerHTML = `
+            <td><a href="https://codeforces.com/contest/${problem.contestId}/problem/${problem.index}" target="_blank" rel="noopener">${problem.contestId}${problem.index} · ${escapeHtml(problem.name)}</a></td>
+            <td>${problem.rating || '-'}</td>
+            <td>${attempts}</td>
+            <td class="negative">${escapeHtml(verdict)}</td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+export function updateSubmissionQuality(submissions) {
+    const quality = analyzeSubmissionQuality(submissions);
+
+    document.getElementById('firstTryRate').textContent = quality.solvedCount
+        ? `${Math.round((quality.firstTryCount / quality.solvedCount) * 100)}%`
+        : '-';
+    document.getElementById('avgAttempts').textContent = quality.solvedCount
+        ? (quality.totalAttempts / quality.solvedCount).toFixed(2)
+        : '-';
+    document.getElementById('unsolvedCount').textContent = quality.unsolved.length;
+
+    createVerdictsChart(quality.verdicts);
+    createLanguagesChart(quality.languages);
+    createAttemptsChart(quality.attemptsByRating);
+    updateAttemptsByTagTable(quality.attemptsByTag);
+    updateUnsolvedTable(quality.unsolved);
+}
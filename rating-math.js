@@ -0,0 +1,120 @@
+// Rating math follows the algorithm Codeforces published in "Open Codeforces Rating System"
+// (https://codeforces.com/blog/entry/20762). Participants are { rating, rank } pairs using the
+// ratings everyone had before the contest.
+
+const RATING_SEARCH_MIN = 1;
+const RATING_SEARCH_MAX = 8000;
+// Accounts created since 2020 show 0 before their first contest but are rated as 1400.
+const NEW_ACCOUNT_RATING = 1400;
+
+function getEloWinProbability(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+export function getEffectiveRating(rating) {
+    return rating === 0 ? NEW_ACCOUNT_RATING : rating;
+}
+
+// Seeds are evaluated against a rating histogram and memoized, which keeps contests with
+// tens of thousands of participants fast enough to run in the browser.
+function createSeedFunction(participants) {
+    const histogram = new Map();
+    participants.forEach(({ rating }) => {
+        histogram.set(rating, (histogram.get(rating) || 0) + 1);
+    });
+    const buckets = Array.from(histogram.entries());
+    const memo = new Map();
+
+    return rating => {
+        if (!memo.has(rating)) {
+            let seed = 1;
+            buckets.forEach(([otherRating, count]) => {
+                seed += count * getEloWinProbability(otherRating, rating);
+            });
+            memo.set(rating, seed);
+        }
+        return memo.get(rating);
+    };
+}
+
+// The rating at which a participant would be expected to finish at the given rank.
+function getRatingToRank(getSeed, rank) {
+    let left = RATING_SEARCH_MIN;
+    let right = RATING_SEARCH_MAX;
+
+    while (right - left > 1) {
+        const mid = Math.floor((left + right) / 2);
+        if (getSeed(mid) < rank) {
+            right = mid;
+        } else {
+            left = mid;
+        }
+    }
+
+    return left;
+}
+
+// Performance is the pre-contest rating for which finishing at this rank would have produced
+// a zero delta, i.e. the rating the result was "worth". `others` excludes the participant.
+export function calculatePerformance(others, rank) {
+    const getSeed = createSeedFunction(others);
+    let left = RATING_SEARCH_MIN;
+    let right = RATING_SEARCH_MAX;
+
+    while (right - left > 1) {
+        const mid = Math.floor((left + right) / 2);
+        const needRating = getRatingToRank(getSeed, Math.sqrt(rank * getSeed(mid)));
+        if (needRating < mid) {
+            right = mid;
+        } else {
+            left = mid;
+        }
+    }
+
+    return left;
+}
+
+export function calculateRatingDeltas(participants) {
+    const getSeed = createSeedFunction(participants);
+
+    const deltas = participants.map(({ rating, rank }) => {
+        // The participant's own entry is part of getSeed(rating); remove its 0.5 self-match.
+        const seed = getSeed(rating) - 0.5;
+        const needRating = getRatingToRank(getSeed, Math.sqrt(rank * seed));
+        return Math.trunc((needRating - rating) / 2);
+    });
+
+    const count = participants.length;
+    const sum = deltas.reduce((total, delta) => total + delta, 0);
+    const inc = Math.trunc(-sum / count) - 1;
+    deltas.forEach((_, i) => {
+        deltas[i] += inc;
+    });
+
+    // The top 4·√n rated participants should not gain rating in total.
+    const zeroSumCount = Math.min(count, 4 * Math.round(Math.sqrt(count)));
+    const topIndexes = participants
+        .map((participant, i) => i)
+        .sort((a, b) => participants[b].rating - participants[a].rating)
+        .slice(0, zeroSumCount);
+    const topSum = topIndexes.reduce((total, i) => total + deltas[i], 0);
+    const topInc = Math.min(Math.max(Math.trunc(-topSum / zeroSumCount), -10), 0);
+    deltas.forEach((_, i) => {
+        deltas[i] += topInc;
+    });
+
+    return deltas;
+}
+
+// Re-runs a contest with one participant moved to a hypothetical rank. Everyone who finished
+// at or below that rank is pushed down one place.
+export function predictRatingDelta(others, rating, rank) {
+    const participants = others.map(participant => ({
+        rating: participant.rating,
+        rank: participant.rank >= rank ? participant.rank + 1 : participant.rank
+    }));
+    participants.push({ rating, rank });
+
+    const deltas = calculateRatingDeltas(participants);
+    return deltas[deltas.length - 1];
+}
@@ -0,0 +1,199 @@
+import { getProblemKey } from './analytics.js';
+import { describeError } from './api.js';
+import { loadProblemset } from './cache.js';
+import { escapeHtml } from './dom.js';
+
+const EXCLUDED_TAGS_KEY = 'cf-metrics-excluded-tags';
+const RECOMMENDATION_COUNT = 6;
+const WEAK_TAG_COUNT = 5;
+const MIN_TAG_POOL = 10;
+const MIN_EXPECTED_SOLVES = 20;
+const MIN_TAGGED_SOLVES = 10;
+
+let recommendationInput = null;
+
+function loadExcludedTags() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem(EXCLUDED_TAGS_KEY)) || []);
+    } catch (error) {
+        return new Set();
+    }
+}
+
+function saveExcludedTags(excludedTags) {
+    localStorage.setItem(EXCLUDED_TAGS_KEY, JSON.stringify([...excludedTags]));
+}
+
+function getPracticeRange(rating) {
+    const base = Math.round((rating || 800) / 100) * 100;
+    return { min: Math.max(800, base - 100), max: base + 300 };
+}
+
+// A tag is weak when the user's share of solves with it, around their level, trails the
+// share of problemset problems that carry it at the same level. Returns null when the user has
+// too few tagged solves in that band to tell a weakness from noise.
+function findWeakTags(acceptedSubmissions, problems, rating, excludedTags = new Set()) {
+    const range = getPracticeRange(rating);
+    const bandMin = range.min - 400;
+    const inBand = problem => problem.rating >= bandMin && problem.rating <= range.max;
+
+    const pool = problems.filter(inBand);
+    const solvedInBand = acceptedSubmissions.filter(sub => inBand(sub.problem));
+    if (solvedInBand.filter(sub => sub.problem.tags.length).length < MIN_TAGGED_SOLVES) return null;
+
+    const expectedTotal = Math.max(solvedInBand.length, MIN_EXPECTED_SOLVES);
+
+    const poolCounts = {};
+    pool.forEach(problem => {
+        problem.tags.forEach(tag => {
+            poolCounts[tag] = (poolCounts[tag] || 0) + 1;
+        });
+    });
+
+    const solvedCounts = {};
+    solvedInBand.forEach(sub => {
+        sub.problem.tags.forEach(tag => {
+            solvedCounts[tag] = (solvedCounts[tag] || 0) + 1;
+        });
+    });
+
+    return Object.entries(poolCounts)
+        .filter(([tag, count]) => !tag.startsWith('*') && !excludedTags.has(tag) && count >= MIN_TAG_POOL)
+        .map(([tag, count]) => {
+            const expected = expectedTotal * count / pool.length;
+            const solved = solvedCounts[tag] || 0;
+            return { tag, solved, expected: Math.round(expected), ratio: solved / expected };
+        })
+        .filter(tag => tag.ratio < 1)
+        .sort((a, b) => a.ratio - b.ratio)
+        .slice(0, WEAK_TAG_COUNT);
+}
+
+function shuffle(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function recommendProblems(problems, acceptedSubmissions, weakTags, rating, count = RECOMMENDATION_COUNT) {
+    const range = getPracticeRange(rating);
+    const solved = new Set(acceptedSubmissions.map(sub => getProblemKey(sub.problem)));
+    const candidates = shuffle(problems.filter(problem =>
+        problem.rating >= range.min &&
+        problem.rating <= range.max &&
+        !solved.has(getProblemKey(problem))
+    ));
+
+    const picked = [];
+    const pickedKeys = new Set();
+
+    // Round-robin over the weak tags so one tag cannot fill the whole list.
+    for (let round = 0; picked.length < count && round < count; round++) {
+        weakTags.forEach(weakTag => {
+            if (picked.length >= count) return;
+            const problem = candidates.find(p =>
+                p.tags.includes(weakTag.tag) && !pickedKeys.has(getProblemKey(p))
+            );
+            if (problem) {
+                picked.push({ problem, weakTag });
+                pickedKeys.add(getProblemKey(problem));
+            }
+        });
+    }
+
+    return picked;
+}
+
+export function renderRecommendations() {
+    const list = document.getElementById('recommendationList');
+    const tagsContainer = document.getElementById('weakTagsList');
+    if (!list || !tagsContainer || !recommendationInput) return;
+
+    const { problems, acceptedSubmissions, rating } = recommendationInput;
+    const excludedTags = loadExcludedTags();
+    const weakTags = findWeakTags(acceptedSubmissions, problems, rating, excludedTags);
+    const picks = recommendProblems(problems, acceptedSubmissions, weakTags || [], rating);
+    const range = getPracticeRange(rating);
+
+    tagsContainer.innerHTML = '';
+    (weakTags || []).forEach(({ tag }) => tagsContainer.appendChild(createTagChip(tag, false)));
+    excludedTags.forEach(tag => tagsContainer.appendChild(createTagChip(tag, true)));
+
+    document.getElementById('recommendationRange').textContent = `${range.min} – ${range.max}`;
+
+    list.innerHTML = '';
+    if (!weakTags) {
+        list.innerHTML = `<p class="panel-message">Not enough data yet: weak tags are judged from at least ${MIN_TAGGED_SOLVES} tagged solves near your level.</p>`;
+        return;
+    }
+    if (!weakTags.length) {
+        list.innerHTML = `<p class="panel-message">No weak tags found: your solves near your level keep up with every${excludedTags.size ? ' included' : ''} tag.</p>`;
+        return;
+    }
+    if (!picks.length) {
+        list.innerHTML = '<p class="panel-message">No unsolved problems match your weak tags in this range.</p>';
+        return;
+    }
+
+    picks.forEach(({ problem, weakTag }) => {
+        const item = document.createElement('a');
+        item.className = 'recommendation-item';
+        item.href = `https://codeforces.com/problemset/problem/${problem.contestId}/${problem.index}`;
+        item.target = '_blank';
+        item.rel = 'noopener';
+        item.innerHTML = `
+            <div class="recommendation-title">
+                <span>${problem.contestId}${problem.index} · ${escapeHtml(problem.name)}</span>
+                <span class="badge rating-badge">${problem.rating}</span>
+            </div>
+            <div class="recommendation-reason">
+                Weak tag <strong>${escapeHtml(weakTag.tag)}</strong>: ${weakTag.solved} solved near your level, about ${weakTag.expected} expected
+            </div>
+            <div class="recommendation-tags">${escapeHtml(problem.tags.join(', '))}</div>
+        `;
+        list.appendChild(item);
+    });
+}
+
+function createTagChip(tag, excluded) {
+    const chip = document.createElement('button');
+    chip.className = `tag-chip${excluded ? ' excluded' : ''}`;
+    chip.textContent = tag;
+    chip.title = excluded ? 'Include this tag again' : 'Exclude this tag';
+    chip.addEventListener('click', () => {
+        const excludedTags = loadExcludedTags();
+        if (excluded) {
+            excludedTags.delete(tag);
+        } else {
+            excludedTags.add(tag);
+        }
+        saveExcludedTags(excludedTags);
+        renderRecommendations();
+    });
+    return chip;
+}
+
+export async function updateRecommendations(user, acceptedSubmissions) {
+    const list = document.getElementById('recommendationList');
+    if (!list) return;
+
+    recommendationInput = null;
+    list.innerHTML = '<p class="panel-message">Loading problemset...</p>';
+    document.getElementById('weakTagsList').innerHTML = '';
+
+    try {
+        const problems = await loadProblemset();
+        recommendationInput = { problems, acceptedSubmissions, rating: user.rating };
+        renderRecommendations();
+    } catch (error) {
+        console.error('Error loading problemset:', error);
+        list.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'panel-message';
+        message.textContent = `Could not load recommendations: ${describeError(error)}`;
+        list.appendChild(message);
+    }
+}
@@ -0,0 +1,14 @@
+// Views are addressed as "#view?key=value", e.g. "#analyze?handle=tourist&range=1Y".
+export function parseRoute(hash) {
+    const [view, query = ''] = hash.replace(/^#/, '').split('?');
+    return { view, params: new URLSearchParams(query) };
+}
+
+export function buildRoute(view, params = {}) {
+    const query = Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/g, ',')}`)
+        .join('&');
+
+    return `#${view}${query ? `?${query}` : ''}`;
+}
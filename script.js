@@ -1,196 +1,191 @@
+import { setupActivity, updateActivity } from './activity.js';
+import { calculateContestStats, calculateProblemStats, countRecentSolves, filterContestsByType, filterRatingHistoryByTime, forecastRating, getSharedContests, processSubmissions } from './analytics.js';
+import { DEFAULT_API_SETTINGS, HandleNotFoundError, cfApi, describeError, loadApiSettings, saveApiSettings } from './api.js';
+import { readCachedProfile, writeCachedProfile } from './cache.js';
+import { charts, COMPARISON_COLORS } from './charts.js';
+import { contestMetadata, loadContestMetadata, updateGyms } from './contests.js';
+import { clearSectionError, escapeHtml, formatAge, formatDelta, hideElement, hideError, hideLoading, parseHandleList, showElement, showError, showLoading, showSectionError } from './dom.js';
+import { setupDuel, updateDuel } from './duel.js';
+import { getExplorerChartHandlers, renderExplorer, setupExplorer, updateExplorer } from './explorer.js';
+import { exportContestsCsv, exportProblemsCsv, exportProfileJson, openPrintReport } from './export.js';
+import { setupGoals, updateGoals } from './goals.js';
+import { resetOfflineSnapshot, setupOffline } from './offline.js';
+import { PERFORMANCE_DISPLAY_CAP, calculateMissingPerformances, formatPerformance, getPerformance, loadPerformances, populatePredictor, predictContestResult } from './performance.js';
+import { updateSubmissionQuality } from './quality.js';
+import { renderRecommendations, updateRecommendations } from './recommender.js';
+import { buildRoute, parseRoute } from './router.js';
+import { findClosestHandle, loadSearchHistory, recordSearch, setupAutocomplete } from './search.js';
+import { createComparisonSkillChart, createSkillChart } from './skill.js';
+import { createChartOptions, getChartTheme, getCssVar, getRankColor, setupTheme } from './theme.js';
+import { renderTrends, setupTrends, updateTrends } from './trends.js';
+import { setupUpcoming, updateUpcoming } from './upcoming.js';
+import { renderProblemChips, updateUpsolving } from './upsolve.js';
+import { getWatchlistHandles, renderWatchlist, setupWatchlist } from './watchlist.js';
+
 let currentUser = null;
 let currentUserSubmissions = [];
 let currentUserRatingHistory = [];
-let charts = {};
+let currentUserUpdatedAt = null;
+let currentUserStale = { sources: [], since: null };
+let comparedUsers = [];
+let leaderboardSort = { key: 'rating', direction: -1 };
+let comparisonAxisMode = 'date';
+let ratingTimeFrame = 'All';
+let contestTypeFilter = 'All';
+let tagLimit = 10;
+let forecastCount = 5;
+let loadingHandle = null;
+let analyzeRequestId = 0;
+let recentProfiles = [];
 
-const API_BASE = 'https://codeforces.com/api/';
-const CORS_PROXY = 'https://cors-anywhere.herokuapp.com/';
+const RATING_TIME_FRAMES = ['All', '1Y', '6M'];
+const CONTEST_TYPES = [
+    'All', 'Div. 1', 'Div. 2', 'Div. 3', 'Div. 4', 'Div. 1 + Div. 2',
+    'Educational', 'Global', 'Kotlin / April Fools'
+];
+const TAG_LIMITS = [10, 15, 20];
+const COMPARISON_AXIS_MODES = ['date', 'index', 'shared'];
 
-function showElement(id) {
-    const element = document.getElementById(id);
-    if (element) {
-        element.style.display = 'block';
-        element.classList.add('visible');
-    }
-}
+const SOURCE_LABELS = {
+    rating: 'Rating history',
+    submissions: 'Submissions'
+};
 
-function hideElement(id) {
-    const element = document.getElementById(id);
-    if (element) {
-        element.style.display = 'none';
-        element.classList.remove('visible');
-    }
-}
+const RECENT_PROFILE_LIMIT = 5;
+const SUBMISSIONS_PAGE_SIZE = 1000;
+const CACHE_MAX_AGE = 10 * 60 * 1000; // Serve cached profiles for 10 minutes
 
-function showError(message) {
-    const errorElement = document.getElementById('errorMessage');
-    const errorText = document.querySelector('.error-text');
+async function syncUserSubmissions(handle, knownSubmissions = []) {
+    const isSettled = sub => sub.verdict && sub.verdict !== 'TESTING';
+    const latestSettledId = knownSubmissions.filter(isSettled).reduce((max, sub) => Math.max(max, sub.id), 0);
+    // Submissions still judging when cached are fetched again, even if later ones have settled.
+    const oldestPendingId = knownSubmissions.filter(sub => !isSettled(sub)).reduce((min, sub) => Math.min(min, sub.id), Infinity);
+    const cursor = Math.min(latestSettledId, oldestPendingId - 1);
+    const newSubmissions = [];
     
-    if (errorElement && errorText) {
-        errorText.textContent = message;
-        showElement('errorMessage');
+    for (let from = 1; ; from += SUBMISSIONS_PAGE_SIZE) {
+        const page = await cfApi.getUserStatus(handle, from, SUBMISSIONS_PAGE_SIZE);
+        const unseen = page.filter(sub => sub.id > cursor);
+        newSubmissions.push(...unseen);
+        
+        if (page.length < SUBMISSIONS_PAGE_SIZE || unseen.length < page.length) break;
     }
+    
+    return newSubmissions.concat(knownSubmissions.filter(sub => sub.id <= cursor));
 }
 
-function hideError() {
-    hideElement('errorMessage');
-}
-
-function showLoading() {
-    showElement('loadingIndicator');
-    hideError();
-}
-
-function hideLoading() {
-    hideElement('loadingIndicator');
-}
-
-async function fetchWithRetry(url, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            if (data.status !== 'OK') {
-                throw new Error(data.comment || 'API Error');
-            }
-            return data.result;
-        } catch (error) {
-            if (i === retries - 1) throw error;
-            await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-        }
+async function loadUserData(handle, forceRefresh = false) {
+    // A forced refresh still reads the cache: it is the fallback when a request fails.
+    const cached = await readCachedProfile(handle).catch(() => null);
+    if (!forceRefresh && cached && Date.now() - cached.updatedAt < CACHE_MAX_AGE) {
+        return { ...cached, errors: {}, staleSources: [] };
     }
-}
-
-async function getUserInfo(handle) {
-    const url = `${API_BASE}user.info?handles=${handle}`;
-    const users = await fetchWithRetry(url);
-    return users[0];
-}
-
-async function getUserRating(handle) {
-    const url = `${API_BASE}user.rating?handle=${handle}`;
-    return await fetchWithRetry(url);
-}
-
-async function getUserSubmissions(handle) {
-    const url = `${API_BASE}user.status?handle=${handle}&from=1&count=10000`;
-    return await fetchWithRetry(url);
-}
-
-async function getContestList() {
-    const url = `${API_BASE}contest.list?gym=false`;
-    return await fetchWithRetry(url);
-}
-
-function getRankColor(rank) {
-    if (!rank) return '#gray';
     
-    const rankColors = {
-        'newbie': '#808080',
-        'pupil': '#008000',
-        'specialist': '#03a89e',
-        'expert': '#0000ff',
-        'candidate master': '#aa00aa',
-        'master': '#ff8c00',
-        'international master': '#ff8c00',
-        'grandmaster': '#ff0000',
-        'international grandmaster': '#ff0000',
-        'legendary grandmaster': '#ff0000'
-    };
+    // Without user.info there is nothing to show, so it goes first: a mistyped handle costs one
+    // call. A failed rating or submissions request falls back to the cached copy, and only
+    // takes down the sections built from it when there is none.
+    const user = await cfApi.getUserInfo(handle);
+    const [ratingResult, submissionsResult] = await Promise.allSettled([
+        cfApi.getUserRating(handle),
+        syncUserSubmissions(handle, cached && !forceRefresh ? cached.submissions : [])
+    ]);
     
-    return rankColors[rank.toLowerCase()] || '#gray';
-}
-
-function processSubmissions(submissions) {
-    const acceptedSubmissions = submissions.filter(sub => sub.verdict === 'OK');
-    const uniqueProblems = new Map();
-    
-    acceptedSubmissions.forEach(sub => {
-        const problemKey = `${sub.problem.contestId}-${sub.problem.index}`;
-        if (!uniqueProblems.has(problemKey)) {
-            uniqueProblems.set(problemKey, sub);
+    const errors = {};
+    const staleSources = [];
+    const settle = (source, result, cachedValue) => {
+        if (result.status === 'fulfilled') return result.value;
+        if (cachedValue) {
+            console.warn(`Using cached ${SOURCE_LABELS[source].toLowerCase()}:`, result.reason);
+            staleSources.push(source);
+            return cachedValue;
         }
-    });
+        errors[source] = result.reason;
+        return [];
+    };
     
-    return Array.from(uniqueProblems.values());
-}
-
-function calculateProblemStats(acceptedSubmissions) {
-    const levels = {};
-    const ratings = {};
-    const tags = {};
+    const profile = {
+        handle: user.handle,
+        user,
+        ratingHistory: settle('rating', ratingResult, cached && cached.ratingHistory),
+        submissions: settle('submissions', submissionsResult, cached && cached.submissions),
+        updatedAt: Date.now()
+    };
+    if (staleSources.length) {
+        profile.staleSince = cached.updatedAt;
+    }
     
-    acceptedSubmissions.forEach(sub => {
-        const level = sub.problem.index;
-        levels[level] = (levels[level] || 0) + 1;
-        
-        if (sub.problem.rating) {
-            const rating = Math.floor(sub.problem.rating / 100) * 100;
-            ratings[rating] = (ratings[rating] || 0) + 1;
-        }
-        
-        sub.problem.tags.forEach(tag => {
-            tags[tag] = (tags[tag] || 0) + 1;
+    if (!Object.keys(errors).length && !staleSources.length) {
+        await writeCachedProfile(profile).catch(error => {
+            console.warn('Failed to cache profile:', error);
         });
-    });
+    }
     
-    return { levels, ratings, tags };
+    return { ...profile, errors, staleSources };
 }
 
-function calculateContestStats(ratingHistory) {
-    if (!ratingHistory.length) return { attended: 0, bestRank: '-', avgRating: '-' };
-    
-    const attended = ratingHistory.length;
-    const bestRank = Math.min(...ratingHistory.map(contest => contest.rank));
-    const avgRating = Math.round(
-        ratingHistory.reduce((sum, contest) => sum + contest.newRating, 0) / attended
-    );
-    
-    return { attended, bestRank, avgRating };
+const RANK_BANDS = [
+    { rank: 'newbie', min: 0, max: 1200 },
+    { rank: 'pupil', min: 1200, max: 1400 },
+    { rank: 'specialist', min: 1400, max: 1600 },
+    { rank: 'expert', min: 1600, max: 1900 },
+    { rank: 'candidate master', min: 1900, max: 2100 },
+    { rank: 'master', min: 2100, max: 2300 },
+    { rank: 'international master', min: 2300, max: 2400 },
+    { rank: 'grandmaster', min: 2400, max: 2600 },
+    { rank: 'international grandmaster', min: 2600, max: 3000 },
+    { rank: 'legendary grandmaster', min: 3000, max: Infinity }
+];
+
+function getRankBandIndex(rating) {
+    return RANK_BANDS.findIndex(band => rating >= band.min && rating < band.max);
 }
 
-function filterRatingHistoryByTime(ratingHistory, timeFrame) {
-    if (!ratingHistory.length || timeFrame === 'All') return ratingHistory;
-    
-    const now = Date.now() / 1000; // Current time in seconds
-    let cutoffTime;
-    
-    switch (timeFrame) {
-        case '1Y':
-            cutoffTime = now - (365 * 24 * 60 * 60); // 1 year ago
-            break;
-        case '6M':
-            cutoffTime = now - (6 * 30 * 24 * 60 * 60); // 6 months ago
-            break;
-        default:
-            return ratingHistory;
-    }
-    
-    return ratingHistory.filter(contest => contest.ratingUpdateTimeSeconds >= cutoffTime);
+function getRankForRating(rating) {
+    return RANK_BANDS[getRankBandIndex(rating)].rank;
 }
 
-function filterContestsByType(ratingHistory, contestType) {
-    if (!ratingHistory.length || contestType === 'All') return ratingHistory;
+const rankBandsPlugin = {
+    id: 'rankBands',
+    beforeDatasetsDraw(chart, args, options) {
+        const { ctx, chartArea, scales: { y } } = chart;
+        
+        ctx.save();
+        ctx.globalAlpha = options.opacity;
+        RANK_BANDS.forEach(band => {
+            const top = Math.max(y.getPixelForValue(Math.min(band.max, y.max)), chartArea.top);
+            const bottom = Math.min(y.getPixelForValue(Math.max(band.min, y.min)), chartArea.bottom);
+            if (bottom <= top) return;
+            
+            ctx.fillStyle = getRankColor(band.rank);
+            ctx.fillRect(chartArea.left, top, chartArea.right - chartArea.left, bottom - top);
+        });
+        ctx.restore();
+    }
+};
+
+function getRatingMarkers(ratingHistory) {
+    const markers = new Map();
+    let maxIndex = -1;
     
-    return ratingHistory.filter(contest => {
-        const contestName = contest.contestName.toLowerCase();
+    ratingHistory.forEach((contest, i) => {
+        if (maxIndex === -1 || contest.newRating > ratingHistory[maxIndex].newRating) {
+            maxIndex = i;
+        }
         
-        switch (contestType) {
-            case 'Div. 1':
-                return contestName.includes('div. 1') && !contestName.includes('div. 2');
-            case 'Div. 2':
-                return contestName.includes('div. 2');
-            case 'Div. 3':
-                return contestName.includes('div. 3');
-            case 'Educational':
-                return contestName.includes('educational');
-            default:
-                return true;
+        const oldBand = getRankBandIndex(contest.oldRating);
+        const newBand = getRankBandIndex(contest.newRating);
+        if (i > 0 && newBand > oldBand) {
+            markers.set(contest.contestId, `Promoted to ${RANK_BANDS[newBand].rank}`);
         }
     });
+    
+    if (maxIndex !== -1) {
+        const contest = ratingHistory[maxIndex];
+        const promotion = markers.get(contest.contestId);
+        markers.set(contest.contestId, promotion ? `Max rating · ${promotion}` : 'Max rating');
+    }
+    
+    return markers;
 }
 
 function createRatingChart(ratingHistory, timeFrame = 'All') {
@@ -202,73 +197,166 @@ function createRatingChart(ratingHistory, timeFrame = 'All') {
     }
     
     const filteredHistory = filterRatingHistoryByTime(ratingHistory, timeFrame);
+    const forecast = filteredHistory.length ? forecastRating(ratingHistory, forecastCount).points : [];
     
     const labels = filteredHistory.map(contest => {
         const date = new Date(contest.ratingUpdateTimeSeconds * 1000);
         return date.toLocaleDateString();
-    });
+    }).concat(forecast.map(point => `+${point.step}`));
     
     const ratings = filteredHistory.map(contest => contest.newRating);
+    const performances = filteredHistory.map(contest => {
+        const performance = getPerformance(contest.contestId);
+        return performance === undefined ? null : Math.min(performance, PERFORMANCE_DISPLAY_CAP);
+    });
+    const hasPerformance = performances.some(performance => performance !== null);
+    const theme = getChartTheme();
+    const markers = getRatingMarkers(ratingHistory);
+    const pointMarkers = filteredHistory.map(contest => markers.get(contest.contestId));
+    
+    const datasets = [{
+        label: 'Rating',
+        data: ratings,
+        borderColor: getCssVar('--text-secondary'),
+        borderWidth: 2,
+        fill: false,
+        tension: 0.2,
+        pointBackgroundColor: ratings.map(rating => getRankColor(getRankForRating(rating))),
+        pointBorderColor: theme.surface,
+        pointBorderWidth: 2,
+        pointStyle: pointMarkers.map(marker => marker ? (marker.startsWith('Max') ? 'star' : 'triangle') : 'circle'),
+        pointRadius: pointMarkers.map(marker => marker ? 8 : 4),
+        pointHoverRadius: pointMarkers.map(marker => marker ? 10 : 6)
+    }];
+    
+    if (hasPerformance) {
+        datasets.push({
+            label: 'Performance',
+            data: performances,
+            borderColor: '#f59e0b',
+            backgroundColor: 'rgba(245, 158, 11, 0.1)',
+            borderWidth: 2,
+            borderDash: [6, 4],
+            fill: false,
+            spanGaps: true,
+            tension: 0.4,
+            pointBackgroundColor: '#f59e0b',
+            pointBorderColor: theme.surface,
+            pointBorderWidth: 1,
+            pointRadius: 3,
+            pointHoverRadius: 5
+        });
+    }
+    
+    if (forecast.length) {
+        // Forecast lines start at the latest rating so they join the timeline.
+        const lead = [...Array(filteredHistory.length - 1).fill(null), ratings[ratings.length - 1]];
+        const band = {
+            borderWidth: 0,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            tension: 0.2,
+            isForecastBand: true
+        };
+        datasets.push({
+            ...band,
+            label: 'Forecast range',
+            data: [...lead, ...forecast.map(point => point.lower)],
+            fill: false
+        }, {
+            ...band,
+            label: 'Forecast range',
+            data: [...lead, ...forecast.map(point => point.upper)],
+            backgroundColor: 'rgba(59, 130, 246, 0.15)',
+            fill: '-1'
+        }, {
+            label: 'Forecast',
+            data: [...lead, ...forecast.map(point => point.rating)],
+            borderColor: getCssVar('--primary-color'),
+            borderWidth: 2,
+            borderDash: [4, 4],
+            fill: false,
+            tension: 0.2,
+            pointRadius: 0,
+            pointHoverRadius: 5
+        });
+    }
     
     charts.rating = new Chart(ctx, {
         type: 'line',
         data: {
             labels: labels,
-            datasets: [{
-                label: 'Rating',
-                data: ratings,
-                borderColor: '#3b82f6',
-                backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                borderWidth: 3,
-                fill: true,
-                tension: 0.4,
-                pointBackgroundColor: '#3b82f6',
-                pointBorderColor: '#ffffff',
-                pointBorderWidth: 2,
-                pointRadius: 4,
-                pointHoverRadius: 6
-            }]
+            datasets
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
+        options: createChartOptions({
             plugins: {
                 legend: {
-                    display: false
+                    display: hasPerformance || forecast.length > 0,
+                    labels: {
+                        usePointStyle: true,
+                        filter: (item, data) => !data.datasets[item.datasetIndex].isForecastBand
+                    }
                 },
                 tooltip: {
-                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                    titleColor: '#ffffff',
-                    bodyColor: '#ffffff',
-                    borderColor: '#3b82f6',
-                    borderWidth: 1,
-                    cornerRadius: 8,
-                    displayColors: false
+                    displayColors: false,
+                    filter: item => item.raw !== null && !item.dataset.isForecastBand &&
+                        (item.dataset.label !== 'Forecast' || item.dataIndex >= filteredHistory.length),
+                    callbacks: {
+                        title: items => {
+                            const contest = filteredHistory[items[0].dataIndex];
+                            if (contest) return contest.contestName;
+                            const step = items[0].dataIndex - filteredHistory.length + 1;
+                            return `Forecast, ${step} contest${step === 1 ? '' : 's'} ahead`;
+                        },
+                        afterBody: items => {
+                            const contest = filteredHistory[items[0].dataIndex];
+                            if (!contest) {
+                                const point = forecast[items[0].dataIndex - filteredHistory.length];
+                                return `95% range ${point.lower}–${point.upper}`;
+                            }
+                            return [
+                                `${labels[items[0].dataIndex]} · rank ${contest.rank}`,
+                                pointMarkers[items[0].dataIndex] || ''
+                            ];
+                        }
+                    }
+                },
+                rankBands: {
+                    opacity: 0.18
+                },
+                zoom: {
+                    pan: {
+                        enabled: true,
+                        mode: 'x'
+                    },
+                    zoom: {
+                        wheel: {
+                            enabled: true,
+                            modifierKey: 'ctrl'
+                        },
+                        pinch: {
+                            enabled: true
+                        },
+                        mode: 'x'
+                    }
                 }
             },
             scales: {
                 x: {
                     grid: {
-                        color: 'rgba(229, 231, 235, 0.5)'
-                    },
-                    ticks: {
-                        color: '#6b7280'
+                        display: false
                     }
                 },
                 y: {
-                    grid: {
-                        color: 'rgba(229, 231, 235, 0.5)'
-                    },
-                    ticks: {
-                        color: '#6b7280'
-                    }
+                    grace: '5%'
                 }
             },
             interaction: {
                 intersect: false,
                 mode: 'index'
             }
-        }
+        }),
+        plugins: [rankBandsPlugin]
     });
 }
 
@@ -307,20 +395,13 @@ function createLevelsChart(levels) {
                 borderSkipped: false
             }]
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
+        options: createChartOptions({
+            ...getExplorerChartHandlers(index => ({ index: labels[index] })),
             plugins: {
                 legend: {
                     display: false
                 },
                 tooltip: {
-                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                    titleColor: '#ffffff',
-                    bodyColor: '#ffffff',
-                    borderColor: '#3b82f6',
-                    borderWidth: 1,
-                    cornerRadius: 8,
                     displayColors: false
                 }
             },
@@ -328,22 +409,13 @@ function createLevelsChart(levels) {
                 x: {
                     grid: {
                         display: false
-                    },
-                    ticks: {
-                        color: '#6b7280'
                     }
                 },
                 y: {
-                    beginAtZero: true,
-                    grid: {
-                        color: 'rgba(229, 231, 235, 0.5)'
-                    },
-                    ticks: {
-                        color: '#6b7280'
-                    }
+                    beginAtZero: true
                 }
             }
-        }
+        })
     });
 }
 
@@ -376,20 +448,14 @@ function createRatingsChart(ratings) {
                 borderSkipped: false
             }]
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
+        options: createChartOptions({
+            ...getExplorerChartHandlers(index => ({ minRating: parseInt(labels[index]), maxRating: parseInt(labels[index]) + 99 })),
             plugins: {
                 legend: {
                     display: false
                 },
                 tooltip: {
-                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                    titleColor: '#ffffff',
-                    bodyColor: '#ffffff',
                     borderColor: '#10b981',
-                    borderWidth: 1,
-                    cornerRadius: 8,
                     displayColors: false
                 }
             },
@@ -397,22 +463,13 @@ function createRatingsChart(ratings) {
                 x: {
                     grid: {
                         display: false
-                    },
-                    ticks: {
-                        color: '#6b7280'
                     }
                 },
                 y: {
-                    beginAtZero: true,
-                    grid: {
-                        color: 'rgba(229, 231, 235, 0.5)'
-                    },
-                    ticks: {
-                        color: '#6b7280'
-                    }
+                    beginAtZero: true
                 }
             }
-        }
+        })
     });
 }
 
@@ -444,35 +501,80 @@ function createTagsChart(tags, limit = 10) {
                     '#14b8a6', '#f43f5e', '#a855f7', '#22c55e', '#eab308'
                 ],
                 borderWidth: 2,
-                borderColor: '#ffffff'
+                borderColor: getChartTheme().surface
             }]
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
+        options: createChartOptions({
+            ...getExplorerChartHandlers(index => ({ tags: [labels[index]] })),
             plugins: {
                 legend: {
                     position: 'right',
                     labels: {
-                        color: '#6b7280',
                         usePointStyle: true,
                         padding: 15
                     }
-                },
-                tooltip: {
-                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                    titleColor: '#ffffff',
-                    bodyColor: '#ffffff',
-                    borderColor: '#3b82f6',
-                    borderWidth: 1,
-                    cornerRadius: 8
                 }
             }
-        }
+        })
     });
 }
 
-function createComparisonChart(user1Data, user2Data) {
+function getComparisonPoint(contest, x) {
+    return {
+        x,
+        y: contest.newRating,
+        contest
+    };
+}
+
+function buildComparisonDatasets(users, mode) {
+    if (mode === 'shared') {
+        const shared = getSharedContests(users);
+        return {
+            type: 'bar',
+            labels: shared.map(({ contest }) => contest.contestName),
+            datasets: users.map(({ user }, i) => {
+                const color = COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+                return {
+                    label: user.handle,
+                    data: shared.map(({ entries }) => ({
+                        x: entries[i].contestName,
+                        y: entries[i].newRating - entries[i].oldRating,
+                        contest: entries[i]
+                    })),
+                    backgroundColor: `${color}cc`,
+                    borderColor: color,
+                    borderWidth: 2,
+                    borderRadius: 4
+                };
+            })
+        };
+    }
+    
+    return {
+        type: 'line',
+        datasets: users.map(({ user, ratingHistory }, i) => {
+            const color = COMPARISON_COLORS[i % COMPARISON_COLORS.length];
+            return {
+                label: user.handle,
+                data: ratingHistory.map((contest, index) => getComparisonPoint(
+                    contest,
+                    mode === 'date' ? contest.ratingUpdateTimeSeconds * 1000 : index + 1
+                )),
+                borderColor: color,
+                backgroundColor: `${color}1a`,
+                borderWidth: 3,
+                tension: 0.4,
+                pointBackgroundColor: color,
+                pointBorderColor: getChartTheme().surface,
+                pointBorderWidth: 2,
+                pointRadius: 4
+            };
+        })
+    };
+}
+
+function createComparisonChart(users, mode = 'date') {
     const ctx = document.getElementById('comparisonChart');
     if (!ctx) return;
     
@@ -480,82 +582,66 @@ function createComparisonChart(user1Data, user2Data) {
         charts.comparison.destroy();
     }
     
-    const maxLength = Math.max(user1Data.length, user2Data.length);
-    const labels = Array.from({ length: maxLength }, (_, i) => i + 1);
+    const { type, labels, datasets } = buildComparisonDatasets(users, mode);
+    
+    const xScale = mode === 'shared'
+        ? { type: 'category' }
+        : {
+            type: 'linear',
+            ticks: {
+                callback: value => mode === 'date' ? new Date(value).toLocaleDateString() : value
+            }
+        };
     
     charts.comparison = new Chart(ctx, {
-        type: 'line',
+        type,
         data: {
-            labels: labels,
-            datasets: [
-                {
-                    label: user1Data.name || 'User 1',
-                    data: user1Data.ratings || [],
-                    borderColor: '#3b82f6',
-                    backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                    borderWidth: 3,
-                    tension: 0.4,
-                    pointBackgroundColor: '#3b82f6',
-                    pointBorderColor: '#ffffff',
-                    pointBorderWidth: 2,
-                    pointRadius: 4
-                },
-                {
-                    label: user2Data.name || 'User 2',
-                    data: user2Data.ratings || [],
-                    borderColor: '#ef4444',
-                    backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                    borderWidth: 3,
-                    tension: 0.4,
-                    pointBackgroundColor: '#ef4444',
-                    pointBorderColor: '#ffffff',
-                    pointBorderWidth: 2,
-                    pointRadius: 4
-                }
-            ]
+            labels,
+            datasets
         },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
+        options: createChartOptions({
             plugins: {
                 legend: {
                     position: 'top',
                     labels: {
-                        color: '#6b7280',
                         usePointStyle: true,
                         padding: 20
                     }
                 },
                 tooltip: {
-                    backgroundColor: 'rgba(0, 0, 0, 0.8)',
-                    titleColor: '#ffffff',
-                    bodyColor: '#ffffff',
-                    borderColor: '#3b82f6',
-                    borderWidth: 1,
-                    cornerRadius: 8,
-                    mode: 'index',
-                    intersect: false
+                    mode: mode === 'date' ? 'nearest' : 'index',
+                    intersect: false,
+                    callbacks: {
+                        title: items => {
+                            const contest = items[0].raw.contest;
+                            return mode === 'date'
+                                ? new Date(contest.ratingUpdateTimeSeconds * 1000).toLocaleDateString()
+                                : mode === 'index' ? `Contest #${items[0].raw.x}` : contest.contestName;
+                        },
+                        label: context => {
+                            const contest = context.raw.contest;
+                            const delta = formatDelta(contest.newRating - contest.oldRating);
+                            return mode === 'shared'
+                                ? `${context.dataset.label}: rank ${contest.rank}, ${delta}`
+                                : `${context.dataset.label}: ${contest.newRating} (${delta})`;
+                        },
+                        afterLabel: context => mode === 'shared'
+                            ? ''
+                            : `${context.raw.contest.contestName} · rank ${context.raw.contest.rank}`
+                    }
                 }
             },
             scales: {
                 x: {
-                    grid: {
-                        color: 'rgba(229, 231, 235, 0.5)'
-                    },
+                    ...xScale,
                     ticks: {
-                        color: '#6b7280'
+                        ...xScale.ticks,
+                        ...(mode === 'shared' ? { display: false } : {})
                     }
                 },
-                y: {
-                    grid: {
-                        color: 'rgba(229, 231, 235, 0.5)'
-                    },
-                    ticks: {
-                        color: '#6b7280'
-                    }
-                }
+                y: {}
             }
-        }
+        })
     });
 }
 
@@ -570,7 +656,7 @@ function updateProfile(user) {
     
     const ratingElement = document.getElementById('userRating');
     ratingElement.textContent = user.rating || 'Unrated';
-    ratingElement.style.backgroundColor = user.rating ? '#10b981' : '#6b7280';
+    ratingElement.style.backgroundColor = getCssVar(user.rating ? '--secondary-color' : '--text-secondary');
     
     document.getElementById('maxRating').textContent = user.maxRating || 'N/A';
     document.getElementById('contribution').textContent = user.contribution || '0';
@@ -584,11 +670,50 @@ function updateProfile(user) {
     }
 }
 
-function updateQuickStats(acceptedSubmissions, contestStats) {
-    document.getElementById('totalSolved').textContent = acceptedSubmissions.length;
-    document.getElementById('contestsAttended').textContent = contestStats.attended;
-    document.getElementById('bestRank').textContent = contestStats.bestRank;
-    document.getElementById('avgRating').textContent = contestStats.avgRating;
+function openSettings() {
+    const settings = loadApiSettings();
+    document.getElementById('corsProxyInput').value = settings.corsProxy;
+    document.getElementById('apiKeyInput').value = settings.apiKey;
+    document.getElementById('apiSecretInput').value = settings.apiSecret;
+    showElement('settingsModal');
+}
+
+function applySettings(settings) {
+    saveApiSettings(settings);
+    cfApi.configure(settings);
+    hideElement('settingsModal');
+}
+
+function updateCacheStatus() {
+    const cacheAge = document.getElementById('cacheAge');
+    if (!cacheAge || !currentUserUpdatedAt) return;
+    
+    cacheAge.textContent = `Data updated ${formatAge(currentUserUpdatedAt)}`;
+    cacheAge.title = new Date(currentUserUpdatedAt).toLocaleString();
+    if (currentUserStale.sources.length) {
+        const labels = currentUserStale.sources.map(source => SOURCE_LABELS[source]).join(' and ');
+        cacheAge.textContent += ` · ${labels} from ${formatAge(currentUserStale.since)}, could not refresh`;
+    }
+}
+
+function updateQuickStats(acceptedSubmissions, contestStats, errors = {}) {
+    document.getElementById('totalSolved').textContent = errors.submissions ? '-' : acceptedSubmissions.length;
+    document.getElementById('contestsAttended').textContent = errors.rating ? '-' : contestStats.attended;
+    document.getElementById('bestRank').textContent = errors.rating ? '-' : contestStats.bestRank;
+    document.getElementById('avgRating').textContent = errors.rating ? '-' : contestStats.avgRating;
+}
+
+// Marks every section built from a failed request; sections whose data loaded lose any old error.
+function showSourceErrors(errors, onRetry) {
+    document.querySelectorAll('[data-requires]').forEach(element => {
+        const failed = element.dataset.requires.split(' ').filter(source => errors[source]);
+        if (!failed.length) {
+            clearSectionError(element);
+            return;
+        }
+        const labels = failed.map(source => SOURCE_LABELS[source]).join(' and ');
+        showSectionError(element, `${labels} could not be loaded: ${describeError(errors[failed[0]])}`, onRetry);
+    });
 }
 
 function updateContestTable(ratingHistory, contestFilter = 'All') {
@@ -597,22 +722,29 @@ function updateContestTable(ratingHistory, contestFilter = 'All') {
     
     tbody.innerHTML = '';
     
-    const filteredHistory = filterContestsByType(ratingHistory, contestFilter);
+    const filteredHistory = filterContestsByType(ratingHistory, contestFilter, contestMetadata);
     
     filteredHistory.slice().reverse().forEach(contest => {
         const row = document.createElement('tr');
         
         const delta = contest.newRating - contest.oldRating;
         const deltaClass = delta >= 0 ? 'positive' : 'negative';
-        const deltaText = delta >= 0 ? `+${delta}` : delta.toString();
+        const deltaText = formatDelta(delta);
         
         const date = new Date(contest.ratingUpdateTimeSeconds * 1000);
         
+        const performance = getPerformance(contest.contestId);
+        const performanceCell = performance === undefined
+            ? '-'
+            : `<span class="${performance >= contest.oldRating ? 'positive' : 'negative'}">${formatPerformance(performance)}</span>`;
+        
         row.innerHTML = `
-            <td>${contest.contestName}</td>
+            <td>${escapeHtml(contest.contestName)}</td>
             <td>${contest.rank}</td>
             <td class="${deltaClass}">${deltaText}</td>
             <td>${contest.newRating}</td>
+            <td>${performanceCell}</td>
+            <td class="problem-chips">${renderProblemChips(contest.contestId)}</td>
             <td>${date.toLocaleDateString()}</td>
         `;
         
@@ -620,62 +752,201 @@ function updateContestTable(ratingHistory, contestFilter = 'All') {
     });
 }
 
-async function analyzeUser(handle) {
+// Profiles loaded in full this session, most recent first, so switching back needs no requests.
+function rememberProfile(profile) {
+    const key = profile.handle.toLowerCase();
+    recentProfiles = [profile, ...recentProfiles.filter(p => p.handle.toLowerCase() !== key)].slice(0, RECENT_PROFILE_LIMIT);
+    renderRecentProfiles();
+}
+
+function renderRecentProfiles() {
+    const container = document.getElementById('recentProfiles');
+    if (!container) return;
+    
+    const others = recentProfiles.filter(profile => profile.user !== currentUser);
+    container.style.display = others.length ? 'flex' : 'none';
+    document.getElementById('recentProfileList').innerHTML = others.map(({ user }) => `
+        <button class="chart-action-btn" data-handle="${escapeHtml(user.handle)}" style="color: ${getRankColor(user.rank)}" title="Switch to ${escapeHtml(user.handle)}">
+            ${escapeHtml(user.handle)}
+        </button>
+    `).join('');
+}
+
+function getKnownHandles() {
+    return [
+        ...recentProfiles.map(profile => profile.handle),
+        ...loadSearchHistory(),
+        ...getWatchlistHandles()
+    ];
+}
+
+async function analyzeUser(handle, forceRefresh = false, loadedProfile = null) {
     if (!handle || handle.trim() === '') {
         showError('Please enter a valid handle');
         return;
     }
     
+    const requestId = ++analyzeRequestId;
+    currentUser = null;
+    loadingHandle = handle;
+    
     showLoading();
     hideError();
+    resetOfflineSnapshot();
     
     hideElement('profileSection');
     hideElement('quickStats');
     hideElement('chartsSection');
+    hideElement('trendsSection');
+    hideElement('explorerSection');
     hideElement('contestSection');
+    hideElement('activitySection');
+    hideElement('qualitySection');
+    hideElement('recommendationSection');
+    hideElement('goalsSection');
+    hideElement('backlogSection');
+    hideElement('gymSection');
     
     try {
-        const [user, ratingHistory, submissions] = await Promise.all([
-            getUserInfo(handle),
-            getUserRating(handle).catch(() => []),
-            getUserSubmissions(handle)
-        ]);
+        const profile = loadedProfile || await loadUserData(handle, forceRefresh);
+        if (requestId !== analyzeRequestId) return;
+        
+        const { user, ratingHistory, submissions, updatedAt, errors, staleSources, staleSince } = profile;
+        recordSearch(user.handle);
+        if (!Object.keys(errors).length) {
+            rememberProfile(profile);
+        }
         
         currentUser = user;
         currentUserSubmissions = submissions;
         currentUserRatingHistory = ratingHistory;
+        currentUserUpdatedAt = updatedAt;
+        currentUserStale = { sources: staleSources, since: staleSince };
         
         const acceptedSubmissions = processSubmissions(submissions);
         const problemStats = calculateProblemStats(acceptedSubmissions);
         const contestStats = calculateContestStats(ratingHistory);
         
         updateProfile(user);
-        updateQuickStats(acceptedSubmissions, contestStats);
-        updateContestTable(ratingHistory);
+        updateCacheStatus();
+        renderRecentProfiles();
+        updateQuickStats(acceptedSubmissions, contestStats, errors);
+        updateContestTable(ratingHistory, contestTypeFilter);
         
         if (ratingHistory.length > 0) {
-            createRatingChart(ratingHistory);
+            createRatingChart(ratingHistory, ratingTimeFrame);
         }
         createLevelsChart(problemStats.levels);
         createRatingsChart(problemStats.ratings);
-        createTagsChart(problemStats.tags);
+        createTagsChart(problemStats.tags, tagLimit);
+        createSkillChart(acceptedSubmissions);
+        updateTrends(ratingHistory, submissions);
+        updateExplorer(acceptedSubmissions, submissions);
+        updateActivity(submissions);
+        updateSubmissionQuality(submissions);
+        updateRecommendations(user, acceptedSubmissions);
+        updateGoals(user, ratingHistory, submissions);
+        populatePredictor(ratingHistory);
+        loadPerformances(user.handle, ratingHistory).then(loaded => {
+            if (loaded && currentUser === user) {
+                renderPerformanceViews();
+            }
+        });
+        loadUpsolving(user);
+        loadContestMetadata().then(loaded => {
+            if (!loaded || currentUser !== user) return;
+            renderExplorer();
+            if (contestTypeFilter !== 'All') {
+                renderPerformanceViews();
+            }
+        });
+        updateGyms(submissions);
+        updateUpcoming(user);
         
         showElement('profileSection');
         showElement('quickStats');
         showElement('chartsSection');
+        showElement('trendsSection');
+        showElement('explorerSection');
+        showElement('activitySection');
+        showElement('qualitySection');
+        showElement('recommendationSection');
+        showElement('goalsSection');
         showElement('contestSection');
+        showElement('backlogSection');
+        showElement('gymSection');
+        showSourceErrors(errors, () => analyzeUser(user.handle, true));
         
     } catch (error) {
+        if (requestId !== analyzeRequestId) return;
         console.error('Error analyzing user:', error);
-        showError(`Error: ${error.message}`);
+        if (error instanceof HandleNotFoundError) {
+            showError(describeError(error), null, suggestHandleFix(error.handle, closest => {
+                document.getElementById('handleInput').value = closest;
+                pushRoute('analyze', getAnalyzeRouteParams(closest));
+                analyzeUser(closest);
+            }));
+        } else {
+            showError(describeError(error), () => analyzeUser(handle, forceRefresh));
+        }
     } finally {
-        hideLoading();
+        if (requestId === analyzeRequestId) {
+            loadingHandle = null;
+            hideLoading();
+        }
+    }
+}
+
+// A "did you mean" offer for a handle Codeforces does not know, if a known handle is close to it.
+function suggestHandleFix(handle, onSelect) {
+    const closest = findClosestHandle(handle, getKnownHandles());
+    return closest ? { label: `Did you mean ${closest}?`, onSelect: () => onSelect(closest) } : undefined;
+}
+
+function loadUpsolving(user) {
+    const backlogSection = document.getElementById('backlogSection');
+    clearSectionError(backlogSection);
+    
+    updateUpsolving(currentUserRatingHistory, currentUserSubmissions).then(updated => {
+        if (updated && currentUser === user) {
+            updateContestTable(currentUserRatingHistory, contestTypeFilter);
+        }
+    }).catch(error => {
+        if (currentUser !== user) return;
+        console.error('Error loading contest problems:', error);
+        updateContestTable(currentUserRatingHistory, contestTypeFilter);
+        showSectionError(backlogSection, `Contest problems could not be loaded: ${describeError(error)}`, () => loadUpsolving(user));
+    });
+}
+
+function renderPerformanceViews() {
+    updateContestTable(currentUserRatingHistory, contestTypeFilter);
+    if (currentUserRatingHistory.length > 0) {
+        createRatingChart(currentUserRatingHistory, ratingTimeFrame);
     }
 }
 
-async function compareUsers(handle1, handle2) {
-    if (!handle1 || !handle2 || handle1.trim() === '' || handle2.trim() === '') {
-        showError('Please enter both handles for comparison');
+async function calculatePerformanceForTable() {
+    const button = document.getElementById('calculatePerformanceBtn');
+    const status = document.getElementById('performanceStatus');
+    const user = currentUser;
+    if (!user || !button) return;
+    
+    const contests = filterContestsByType(currentUserRatingHistory, contestTypeFilter, contestMetadata).slice().reverse();
+    button.disabled = true;
+    
+    await calculateMissingPerformances(contests, (done, total) => {
+        if (currentUser !== user) return;
+        status.textContent = done < total ? `Calculating ${done + 1} of ${total}...` : '';
+        renderPerformanceViews();
+    });
+    
+    button.disabled = false;
+}
+
+async function compareUsers(handles) {
+    if (handles.length < 2) {
+        showError('Please enter at least two handles for comparison');
         return;
     }
     
@@ -684,79 +955,300 @@ async function compareUsers(handle1, handle2) {
     hideElement('comparisonResults');
     
     try {
-        const [user1Data, user2Data] = await Promise.all([
-            Promise.all([
-                getUserInfo(handle1),
-                getUserRating(handle1).catch(() => []),
-                getUserSubmissions(handle1)
-            ]),
-            Promise.all([
-                getUserInfo(handle2),
-                getUserRating(handle2).catch(() => []),
-                getUserSubmissions(handle2)
-            ])
-        ]);
-        
-        const [user1, user1Rating, user1Submissions] = user1Data;
-        const [user2, user2Rating, user2Submissions] = user2Data;
+        const profiles = await Promise.all(handles.map(handle => loadUserData(handle)));
+        // The comparison needs every user's full data, so a partial load fails it as a whole.
+        const partial = profiles.find(profile => Object.keys(profile.errors).length);
+        if (partial) {
+            throw Object.values(partial.errors)[0];
+        }
         
-        const user1Accepted = processSubmissions(user1Submissions);
-        const user2Accepted = processSubmissions(user2Submissions);
+        comparedUsers = profiles.map(({ user, ratingHistory, submissions }) => {
+            const accepted = processSubmissions(submissions);
+            return {
+                user,
+                ratingHistory,
+                accepted,
+                recentSolves: countRecentSolves(submissions, 30)
+            };
+        });
         
-        updateComparisonUI(user1, user2, user1Rating, user2Rating, user1Accepted, user2Accepted);
+        comparedUsers.forEach(({ user }) => recordSearch(user.handle));
+        updateComparisonUI(comparedUsers);
         
-        createComparisonChart(
-            {
-                name: user1.handle,
-                ratings: user1Rating.map(c => c.newRating)
-            },
-            {
-                name: user2.handle,
-                ratings: user2Rating.map(c => c.newRating)
-            }
-        );
+        createComparisonChart(comparedUsers, comparisonAxisMode);
+        createComparisonSkillChart(comparedUsers);
         
         showElement('comparisonResults');
         
     } catch (error) {
         console.error('Error comparing users:', error);
-        showError(`Error: ${error.message}`);
+        if (error instanceof HandleNotFoundError) {
+            showError(describeError(error), null, suggestHandleFix(error.handle, closest => {
+                const key = error.handle.toLowerCase();
+                const fixed = handles.map(handle => handle.toLowerCase() === key ? closest : handle);
+                document.getElementById('compareHandles').value = fixed.join(', ');
+                pushRoute('compare', getCompareRouteParams(fixed));
+                compareUsers(fixed);
+            }));
+        } else {
+            showError(describeError(error), () => compareUsers(handles));
+        }
     } finally {
         hideLoading();
     }
 }
 
-function updateComparisonUI(user1, user2, user1Rating, user2Rating, user1Accepted, user2Accepted) {
-    document.getElementById('user1Name').textContent = user1.handle;
-    const user1RankEl = document.getElementById('user1Rank');
-    user1RankEl.textContent = user1.rank || 'Unrated';
-    user1RankEl.style.backgroundColor = getRankColor(user1.rank);
+const LEADERBOARD_COLUMNS = {
+    handle: entry => entry.user.handle.toLowerCase(),
+    rating: entry => entry.user.rating || 0,
+    maxRating: entry => entry.user.maxRating || 0,
+    solved: entry => entry.accepted.length,
+    contests: entry => entry.ratingHistory.length,
+    recent: entry => entry.recentSolves
+};
+
+function updateLeaderboard(users) {
+    const tbody = document.getElementById('leaderboardBody');
+    if (!tbody) return;
+    
+    const getValue = LEADERBOARD_COLUMNS[leaderboardSort.key];
+    const sorted = users.slice().sort((a, b) => {
+        const valueA = getValue(a);
+        const valueB = getValue(b);
+        if (valueA === valueB) return 0;
+        return (valueA < valueB ? -1 : 1) * leaderboardSort.direction;
+    });
+    
+    tbody.innerHTML = '';
+    sorted.forEach(({ user, ratingHistory, accepted, recentSolves }, i) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${i + 1}</td>
+            <td><span class="handle-name" style="color: ${getRankColor(user.rank)}">${escapeHtml(user.handle)}</span></td>
+            <td>${user.rating || 'Unrated'}</td>
+            <td>${user.maxRating || 'N/A'}</td>
+            <td>${accepted.length}</td>
+            <td>${ratingHistory.length}</td>
+            <td>${recentSolves}</td>
+        `;
+        tbody.appendChild(row);
+    });
+    
+    document.querySelectorAll('#leaderboardTable th[data-sort]').forEach(th => {
+        th.classList.toggle('sorted-asc', th.dataset.sort === leaderboardSort.key && leaderboardSort.direction === 1);
+        th.classList.toggle('sorted-desc', th.dataset.sort === leaderboardSort.key && leaderboardSort.direction === -1);
+    });
+}
+
+function updateCommonProblemsMatrix(users) {
+    const table = document.getElementById('commonMatrix');
+    if (!table) return;
+    
+    const problemSets = users.map(({ accepted }) =>
+        new Set(accepted.map(s => `${s.problem.contestId}-${s.problem.index}`))
+    );
+    
+    const header = users.map(({ user }) => `<th>${escapeHtml(user.handle)}</th>`).join('');
+    const rows = users.map(({ user }, i) => {
+        const cells = users.map((_, j) => {
+            if (i === j) return `<td class="matrix-self">${problemSets[i].size}</td>`;
+            const [smaller, larger] = problemSets[i].size < problemSets[j].size
+                ? [problemSets[i], problemSets[j]]
+                : [problemSets[j], problemSets[i]];
+            const common = [...smaller].filter(p => larger.has(p)).length;
+            return `<td>${common}</td>`;
+        }).join('');
+        return `<tr><th>${escapeHtml(user.handle)}</th>${cells}</tr>`;
+    }).join('');
+    
+    table.innerHTML = `<thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody>`;
+}
+
+function updateComparisonUI(users) {
+    updateLeaderboard(users);
+    updateCommonProblemsMatrix(users);
+    updateDuel(users);
+}
+
+async function importFriends() {
+    const input = document.getElementById('compareHandles');
+    if (!cfApi.hasCredentials()) {
+        showError('Add your API key and secret in Settings to import friends');
+        openSettings();
+        return;
+    }
+    
+    try {
+        const friends = await cfApi.getFriends();
+        input.value = parseHandleList(`${input.value},${friends.join(',')}`).join(', ');
+    } catch (error) {
+        console.error('Error loading friends:', error);
+        showError(describeError(error), importFriends);
+    }
+}
+
+function getProfileModel() {
+    const acceptedSubmissions = processSubmissions(currentUserSubmissions);
+    const contests = filterContestsByType(currentUserRatingHistory, contestTypeFilter, contestMetadata).map(contest => ({
+        contestId: contest.contestId,
+        contestName: contest.contestName,
+        rank: contest.rank,
+        oldRating: contest.oldRating,
+        newRating: contest.newRating,
+        delta: contest.newRating - contest.oldRating,
+        date: new Date(contest.ratingUpdateTimeSeconds * 1000).toISOString().slice(0, 10)
+    }));
+    
+    return {
+        generatedAt: new Date().toISOString(),
+        user: currentUser,
+        solvedCount: acceptedSubmissions.length,
+        problemStats: calculateProblemStats(acceptedSubmissions),
+        contestStats: calculateContestStats(currentUserRatingHistory),
+        contestFilter: contestTypeFilter,
+        contests
+    };
+}
+
+function pushRoute(view, params) {
+    const hash = buildRoute(view, params);
+    if (hash !== window.location.hash) {
+        history.pushState(null, '', hash);
+    }
+}
+
+function getAnalyzeRouteParams(handle) {
+    return {
+        handle,
+        range: ratingTimeFrame !== 'All' ? ratingTimeFrame : '',
+        type: contestTypeFilter !== 'All' ? contestTypeFilter : '',
+        tags: tagLimit !== TAG_LIMITS[0] ? tagLimit : ''
+    };
+}
+
+function updateAnalyzeRoute() {
+    if (currentUser) {
+        pushRoute('analyze', getAnalyzeRouteParams(currentUser.handle));
+    }
+}
+
+function getCompareRouteParams(handles) {
+    return {
+        h: handles.join(','),
+        axis: comparisonAxisMode !== 'date' ? comparisonAxisMode : ''
+    };
+}
+
+function syncFilterControls() {
+    document.querySelectorAll('.rating-filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.textContent.trim() === ratingTimeFrame);
+    });
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.textContent.trim() === contestTypeFilter);
+    });
+    document.querySelectorAll('.axis-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.axis === comparisonAxisMode);
+    });
+    
+    const tagsLimitSelect = document.getElementById('tagsLimit');
+    if (tagsLimitSelect) {
+        tagsLimitSelect.value = tagLimit;
+    }
+}
+
+function renderFilteredViews() {
+    if (currentUserRatingHistory.length > 0) {
+        createRatingChart(currentUserRatingHistory, ratingTimeFrame);
+    }
+    updateContestTable(currentUserRatingHistory, contestTypeFilter);
+    
+    const problemStats = calculateProblemStats(processSubmissions(currentUserSubmissions));
+    createTagsChart(problemStats.tags, tagLimit);
+}
+
+// Chart colours are resolved when a chart is created, so a theme switch redraws every chart.
+function renderThemedViews() {
+    if (currentUser) {
+        updateProfile(currentUser);
+        renderFilteredViews();
+        
+        const acceptedSubmissions = processSubmissions(currentUserSubmissions);
+        const problemStats = calculateProblemStats(acceptedSubmissions);
+        createLevelsChart(problemStats.levels);
+        createRatingsChart(problemStats.ratings);
+        createSkillChart(acceptedSubmissions);
+        renderTrends();
+        updateSubmissionQuality(currentUserSubmissions);
+    }
+    
+    if (comparedUsers.length > 0) {
+        updateLeaderboard(comparedUsers);
+        createComparisonChart(comparedUsers, comparisonAxisMode);
+        createComparisonSkillChart(comparedUsers);
+    }
+    
+    renderRecentProfiles();
+    renderWatchlist();
+}
+
+function applyAnalyzeRoute(params) {
+    const range = params.get('range');
+    const type = params.get('type');
+    const tags = parseInt(params.get('tags'));
     
-    document.getElementById('user1Rating').textContent = user1.rating || 'Unrated';
-    document.getElementById('user1MaxRating').textContent = user1.maxRating || 'N/A';
-    document.getElementById('user1Solved').textContent = user1Accepted.length;
-    document.getElementById('user1Contests').textContent = user1Rating.length;
+    ratingTimeFrame = RATING_TIME_FRAMES.includes(range) ? range : 'All';
+    contestTypeFilter = CONTEST_TYPES.includes(type) ? type : 'All';
+    tagLimit = TAG_LIMITS.includes(tags) ? tags : TAG_LIMITS[0];
+    syncFilterControls();
     
-    document.getElementById('user2Name').textContent = user2.handle;
-    const user2RankEl = document.getElementById('user2Rank');
-    user2RankEl.textContent = user2.rank || 'Unrated';
-    user2RankEl.style.backgroundColor = getRankColor(user2.rank);
+    const handle = params.get('handle');
+    if (!handle) return;
     
-    document.getElementById('user2Rating').textContent = user2.rating || 'Unrated';
-    document.getElementById('user2MaxRating').textContent = user2.maxRating || 'N/A';
-    document.getElementById('user2Solved').textContent = user2Accepted.length;
-    document.getElementById('user2Contests').textContent = user2Rating.length;
+    document.getElementById('handleInput').value = handle;
     
-    const user1Problems = new Set(user1Accepted.map(s => `${s.problem.contestId}-${s.problem.index}`));
-    const user2Problems = new Set(user2Accepted.map(s => `${s.problem.contestId}-${s.problem.index}`));
-    const commonProblems = new Set([...user1Problems].filter(p => user2Problems.has(p)));
+    const isLoaded = currentUser && currentUser.handle.toLowerCase() === handle.toLowerCase();
+    if (isLoaded) {
+        renderFilteredViews();
+    } else if (loadingHandle !== handle) {
+        analyzeUser(handle);
+    }
+}
+
+function applyCompareRoute(params) {
+    const axis = params.get('axis');
+    comparisonAxisMode = COMPARISON_AXIS_MODES.includes(axis) ? axis : 'date';
+    syncFilterControls();
+    
+    const handles = parseHandleList(params.get('h') || '');
+    if (!handles.length) return;
     
-    const user1Contests = new Set(user1Rating.map(c => c.contestId));
-    const user2Contests = new Set(user2Rating.map(c => c.contestId));
-    const commonContests = new Set([...user1Contests].filter(c => user2Contests.has(c)));
+    document.getElementById('compareHandles').value = handles.join(', ');
     
-    document.getElementById('commonProblems').textContent = commonProblems.size;
-    document.getElementById('commonContests').textContent = commonContests.size;
+    const requestedKey = handles.join(',').toLowerCase();
+    const comparedKey = comparedUsers.map(({ user }) => user.handle).join(',').toLowerCase();
+    if (requestedKey === comparedKey) {
+        createComparisonChart(comparedUsers, comparisonAxisMode);
+    } else {
+        compareUsers(handles);
+    }
+}
+
+function applyRoute(hash) {
+    const { view, params } = parseRoute(hash);
+    
+    if (view === 'analyze') {
+        applyAnalyzeRoute(params);
+    } else if (view === 'compare') {
+        applyCompareRoute(params);
+    }
+    
+    const targetElement = document.getElementById(view);
+    if (targetElement) {
+        targetElement.scrollIntoView({
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
 }
 
 document.addEventListener('DOMContentLoaded', function() {
@@ -764,42 +1256,206 @@ document.addEventListener('DOMContentLoaded', function() {
     const searchBtn = document.getElementById('searchBtn');
     const handleInput = document.getElementById('handleInput');
     
+    const searchHandle = () => {
+        const handle = handleInput.value.trim();
+        if (handle) {
+            pushRoute('analyze', getAnalyzeRouteParams(handle));
+        }
+        analyzeUser(handle);
+    };
+    
     if (searchBtn) {
-        searchBtn.addEventListener('click', () => {
-            const handle = handleInput.value.trim();
-            analyzeUser(handle);
-        });
+        searchBtn.addEventListener('click', searchHandle);
     }
     
     if (handleInput) {
         handleInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
-                const handle = handleInput.value.trim();
-                analyzeUser(handle);
+                searchHandle();
             }
         });
+        setupAutocomplete(handleInput, { getHandles: getKnownHandles, onSelect: searchHandle });
+    }
+    
+    const recentProfileList = document.getElementById('recentProfileList');
+    if (recentProfileList) {
+        recentProfileList.addEventListener('click', e => {
+            const button = e.target.closest('[data-handle]');
+            if (!button) return;
+            
+            const profile = recentProfiles.find(p => p.handle === button.dataset.handle);
+            handleInput.value = profile.handle;
+            pushRoute('analyze', getAnalyzeRouteParams(profile.handle));
+            analyzeUser(profile.handle, false, profile);
+        });
+    }
+    
+    const refreshBtn = document.getElementById('refreshBtn');
+    if (refreshBtn) {
+        refreshBtn.addEventListener('click', () => {
+            if (currentUser) {
+                analyzeUser(currentUser.handle, true);
+            }
+        });
+    }
+    
+    setInterval(updateCacheStatus, 60000);
+    
+    const exportActions = {
+        exportJsonBtn: () => exportProfileJson(getProfileModel()),
+        exportContestsBtn: () => exportContestsCsv(getProfileModel()),
+        exportProblemsBtn: () => exportProblemsCsv(currentUser.handle, processSubmissions(currentUserSubmissions)),
+        printReportBtn: () => openPrintReport(getProfileModel(), charts)
+    };
+    Object.entries(exportActions).forEach(([id, action]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => {
+                if (currentUser) action();
+            });
+        }
+    });
+    
+    const settingsBtn = document.getElementById('settingsBtn');
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', openSettings);
+    }
+    
+    const settingsCloseBtn = document.getElementById('settingsCloseBtn');
+    if (settingsCloseBtn) {
+        settingsCloseBtn.addEventListener('click', () => hideElement('settingsModal'));
+    }
+    
+    const settingsSaveBtn = document.getElementById('settingsSaveBtn');
+    if (settingsSaveBtn) {
+        settingsSaveBtn.addEventListener('click', () => {
+            applySettings({
+                corsProxy: document.getElementById('corsProxyInput').value.trim(),
+                apiKey: document.getElementById('apiKeyInput').value.trim(),
+                apiSecret: document.getElementById('apiSecretInput').value.trim()
+            });
+        });
+    }
+    
+    const settingsClearBtn = document.getElementById('settingsClearBtn');
+    if (settingsClearBtn) {
+        settingsClearBtn.addEventListener('click', () => {
+            applySettings({ ...DEFAULT_API_SETTINGS });
+        });
+    }
+    
+    setupOffline();
+    setupActivity();
+    setupGoals();
+    setupExplorer();
+    setupTrends();
+    setupDuel();
+    setupWatchlist(handle => {
+        document.getElementById('handleInput').value = handle;
+        pushRoute('analyze', getAnalyzeRouteParams(handle));
+        analyzeUser(handle);
+        document.getElementById('analyze').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+    setupUpcoming();
+    setupTheme(renderThemedViews);
+    
+    const rerollBtn = document.getElementById('rerollBtn');
+    if (rerollBtn) {
+        rerollBtn.addEventListener('click', renderRecommendations);
+    }
+    
+    const calculatePerformanceBtn = document.getElementById('calculatePerformanceBtn');
+    if (calculatePerformanceBtn) {
+        calculatePerformanceBtn.addEventListener('click', calculatePerformanceForTable);
+    }
+    
+    const predictBtn = document.getElementById('predictBtn');
+    if (predictBtn) {
+        predictBtn.addEventListener('click', () => predictContestResult(currentUserRatingHistory));
     }
     
     const compareBtn = document.getElementById('compareBtn');
-    const user1Handle = document.getElementById('user1Handle');
-    const user2Handle = document.getElementById('user2Handle');
+    const compareHandles = document.getElementById('compareHandles');
+    
+    const startComparison = () => {
+        const handles = parseHandleList(compareHandles.value);
+        if (handles.length >= 2) {
+            pushRoute('compare', getCompareRouteParams(handles));
+        }
+        compareUsers(handles);
+    };
     
     if (compareBtn) {
-        compareBtn.addEventListener('click', () => {
-            const handle1 = user1Handle.value.trim();
-            const handle2 = user2Handle.value.trim();
-            compareUsers(handle1, handle2);
+        compareBtn.addEventListener('click', startComparison);
+    }
+    
+    if (compareHandles) {
+        compareHandles.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                startComparison();
+            }
         });
+        setupAutocomplete(compareHandles, { getHandles: getKnownHandles, multiple: true });
+    }
+    
+    const importFriendsBtn = document.getElementById('importFriendsBtn');
+    if (importFriendsBtn) {
+        importFriendsBtn.addEventListener('click', importFriends);
     }
     
+    const axisBtns = document.querySelectorAll('.axis-btn');
+    axisBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            axisBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            
+            comparisonAxisMode = btn.dataset.axis;
+            if (comparedUsers.length) {
+                pushRoute('compare', getCompareRouteParams(comparedUsers.map(({ user }) => user.handle)));
+                createComparisonChart(comparedUsers, comparisonAxisMode);
+            }
+        });
+    });
+    
+    document.querySelectorAll('#leaderboardTable th[data-sort]').forEach(th => {
+        th.addEventListener('click', () => {
+            const key = th.dataset.sort;
+            leaderboardSort = {
+                key,
+                direction: leaderboardSort.key === key ? -leaderboardSort.direction : (key === 'handle' ? 1 : -1)
+            };
+            updateLeaderboard(comparedUsers);
+        });
+    });
+    
     const tagsLimit = document.getElementById('tagsLimit');
     if (tagsLimit) {
         tagsLimit.addEventListener('change', (e) => {
-            const limit = parseInt(e.target.value);
+            tagLimit = parseInt(e.target.value);
             if (currentUser && currentUserSubmissions.length > 0) {
                 const acceptedSubmissions = processSubmissions(currentUserSubmissions);
                 const problemStats = calculateProblemStats(acceptedSubmissions);
-                createTagsChart(problemStats.tags, limit);
+                createTagsChart(problemStats.tags, tagLimit);
+            }
+            updateAnalyzeRoute();
+        });
+    }
+    
+    const resetZoomBtn = document.getElementById('resetZoomBtn');
+    if (resetZoomBtn) {
+        resetZoomBtn.addEventListener('click', () => {
+            if (charts.rating && charts.rating.resetZoom) {
+                charts.rating.resetZoom();
+            }
+        });
+    }
+    
+    const forecastSelect = document.getElementById('forecastCount');
+    if (forecastSelect) {
+        forecastSelect.addEventListener('change', (e) => {
+            forecastCount = parseInt(e.target.value);
+            if (currentUserRatingHistory.length > 0) {
+                createRatingChart(currentUserRatingHistory, ratingTimeFrame);
             }
         });
     }
@@ -814,11 +1470,12 @@ document.addEventListener('DOMContentLoaded', function() {
             
             btn.classList.add('active');
             
-            const timeFrame = btn.textContent.trim();
+            ratingTimeFrame = btn.textContent.trim();
             
             if (currentUserRatingHistory && currentUserRatingHistory.length > 0) {
-                createRatingChart(currentUserRatingHistory, timeFrame);
+                createRatingChart(currentUserRatingHistory, ratingTimeFrame);
             }
+            updateAnalyzeRoute();
         });
     });
     
@@ -831,11 +1488,12 @@ document.addEventListener('DOMContentLoaded', function() {
            
             btn.classList.add('active');
             
-            const contestType = btn.textContent.trim();
+            contestTypeFilter = btn.textContent.trim();
             
             if (currentUserRatingHistory && currentUserRatingHistory.length > 0) {
-                updateContestTable(currentUserRatingHistory, contestType);
+                updateContestTable(currentUserRatingHistory, contestTypeFilter);
             }
+            updateAnalyzeRoute();
         });
     });
     
@@ -859,7 +1517,7 @@ document.addEventListener('DOMContentLoaded', function() {
     });
     
     window.addEventListener('scroll', () => {
-        const sections = ['home', 'analyze', 'compare', 'about'];
+        const sections = ['home', 'analyze', 'compare', 'watchlist', 'about'];
         let currentSection = '';
         
         sections.forEach(section => {
@@ -879,17 +1537,10 @@ document.addEventListener('DOMContentLoaded', function() {
             }
         });
     });
-});
-
-const style = document.createElement('style');
-style.textContent = `
-    .positive {
-        color: #10b981;
-        font-weight: 600;
-    }
-    .negative {
-        color: #ef4444;
-        font-weight: 600;
+    
+    window.addEventListener('popstate', () => applyRoute(window.location.hash));
+    
+    if (window.location.hash) {
+        applyRoute(window.location.hash);
     }
-`;
-document.head.appendChild(style);
\ No newline at end of file
+});
@@ -0,0 +1,164 @@
+import { escapeHtml } from './dom.js';
+
+const HISTORY_KEY = 'cf-metrics-search-history';
+const HISTORY_LIMIT = 20;
+const SUGGESTION_LIMIT = 8;
+
+export function loadSearchHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Most recent first; searching a handle again moves it back to the top.
+export function recordSearch(handle) {
+    const key = handle.toLowerCase();
+    const history = [handle, ...loadSearchHistory().filter(h => h.toLowerCase() !== key)];
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, HISTORY_LIMIT)));
+}
+
+// Levenshtein distance; handles are case-insensitive on Codeforces, so the comparison is too.
+export function editDistance(a, b) {
+    const source = a.toLowerCase();
+    const target = b.toLowerCase();
+    let previous = Array.from({ length: target.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= source.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= target.length; j++) {
+            const substitution = previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+
+    return previous[target.length];
+}
+
+function uniqueHandles(handles) {
+    const seen = new Set();
+    return handles.filter(handle => {
+        const key = handle.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Handles starting with the query come first, then those containing it, each in the given order.
+export function suggestHandles(query, handles, { exclude = [], limit = SUGGESTION_LIMIT } = {}) {
+    const needle = query.trim().toLowerCase();
+    const excluded = new Set(exclude.map(handle => handle.toLowerCase()));
+    const candidates = uniqueHandles(handles).filter(handle => {
+        const key = handle.toLowerCase();
+        return !excluded.has(key) && key !== needle;
+    });
+
+    const prefixed = candidates.filter(handle => handle.toLowerCase().startsWith(needle));
+    const containing = candidates.filter(handle => {
+        const key = handle.toLowerCase();
+        return !key.startsWith(needle) && key.includes(needle);
+    });
+
+    return [...prefixed, ...containing].slice(0, limit);
+}
+
+// The known handle closest to a mistyped one, or null when nothing is close enough to be a typo.
+export function findClosestHandle(handle, handles) {
+    const maxDistance = Math.max(1, Math.floor(handle.length / 3));
+    let closest = null;
+    let closestDistance = Infinity;
+
+    uniqueHandles(handles).forEach(candidate => {
+        const distance = editDistance(handle, candidate);
+        if (distance > 0 && distance <= maxDistance && distance < closestDistance) {
+            closest = candidate;
+            closestDistance = distance;
+        }
+    });
+
+    return closest;
+}
+
+// With `multiple`, the input holds a comma-separated list and only its last entry is completed.
+export function setupAutocomplete(input, { getHandles, onSelect, multiple = false }) {
+    const list = document.createElement('ul');
+    list.className = 'suggestions';
+    list.setAttribute('role', 'listbox');
+    list.style.display = 'none';
+    input.after(list);
+    input.setAttribute('autocomplete', 'off');
+
+    let suggestions = [];
+    let activeIndex = -1;
+
+    const getEntries = () => input.value.split(/[\s,;]+/);
+
+    const close = () => {
+        suggestions = [];
+        activeIndex = -1;
+        list.style.display = 'none';
+    };
+
+    const render = () => {
+        list.innerHTML = suggestions.map((handle, i) => `
+            <li role="option" data-index="${i}" class="${i === activeIndex ? 'active' : ''}" aria-selected="${i === activeIndex}">
+                ${escapeHtml(handle)}
+            </li>
+        `).join('');
+        list.style.display = suggestions.length ? 'block' : 'none';
+    };
+
+    const update = () => {
+        const entries = getEntries();
+        const query = multiple ? entries[entries.length - 1] : input.value;
+        suggestions = suggestHandles(query, getHandles(), { exclude: multiple ? entries.slice(0, -1) : [] });
+        activeIndex = -1;
+        render();
+    };
+
+    const select = handle => {
+        if (multiple) {
+            const entries = getEntries().slice(0, -1).filter(Boolean);
+            input.value = [...entries, handle].join(', ') + ', ';
+        } else {
+            input.value = handle;
+        }
+        close();
+        if (onSelect) onSelect(handle);
+    };
+
+    input.addEventListener('input', update);
+    input.addEventListener('focus', update);
+    input.addEventListener('blur', close);
+
+    input.addEventListener('keydown', e => {
+        if (!suggestions.length) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            // Moving past either end returns to the typed text (index -1).
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const positions = suggestions.length + 1;
+            activeIndex = (activeIndex + 1 + step + positions) % positions - 1;
+            render();
+        } else if (e.key === 'Enter' && activeIndex >= 0) {
+            // Stops the keypress that would otherwise submit what was typed.
+            e.preventDefault();
+            select(suggestions[activeIndex]);
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+
+    // mousedown fires before the input's blur closes the list.
+    list.addEventListener('mousedown', e => {
+        const item = e.target.closest('[data-index]');
+        if (!item) return;
+        e.preventDefault();
+        select(suggestions[Number(item.dataset.index)]);
+    });
+}
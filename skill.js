@@ -0,0 +1,136 @@
+import { charts, COMPARISON_COLORS } from './charts.js';
+import { createChartOptions, getChartTheme, getCssVar } from './theme.js';
+
+const SKILL_TOP_K = 10;
+const SKILL_DECAY = 0.85;
+const SKILL_FLOOR_RATING = 800;
+const SKILL_TAG_COUNT = 8;
+
+// A tag's score is a weighted average of the user's K hardest solves with it. The hardest
+// problem weighs 1, the next 0.85, then 0.85², and so on; slots without a solve count as an
+// 800-rated problem, so one lucky hard solve does not outrank sustained practice.
+function calculateTagSkills(acceptedSubmissions) {
+    const ratingsByTag = new Map();
+    acceptedSubmissions.forEach(sub => {
+        if (!sub.problem.rating) return;
+        (sub.problem.tags || []).forEach(tag => {
+            if (!ratingsByTag.has(tag)) ratingsByTag.set(tag, []);
+            ratingsByTag.get(tag).push(sub.problem.rating);
+        });
+    });
+
+    const weights = Array.from({ length: SKILL_TOP_K }, (_, i) => Math.pow(SKILL_DECAY, i));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    const skills = new Map();
+
+    ratingsByTag.forEach((ratings, tag) => {
+        const top = ratings.sort((a, b) => b - a).slice(0, SKILL_TOP_K);
+        const weighted = weights.reduce((sum, weight, i) => sum + weight * (top[i] || SKILL_FLOOR_RATING), 0);
+        skills.set(tag, {
+            score: Math.round(weighted / totalWeight),
+            solved: ratings.length,
+            top
+        });
+    });
+
+    return skills;
+}
+
+function explainTagSkill(skill) {
+    if (!skill) return ['No rated solves with this tag'];
+
+    const missing = SKILL_TOP_K - skill.top.length;
+    return [
+        `Hardest ${skill.top.length} of ${skill.solved} rated solves: ${skill.top.join(', ')}`,
+        `Weighted ×${SKILL_DECAY} per step down the list` +
+            (missing > 0 ? `, ${missing} empty slot${missing === 1 ? '' : 's'} counted as ${SKILL_FLOOR_RATING}` : '')
+    ];
+}
+
+// Shows the tags the users have solved most, so the radar compares like with like.
+function pickSkillTags(skillMaps) {
+    const counts = new Map();
+    skillMaps.forEach(skills => {
+        skills.forEach(({ solved }, tag) => counts.set(tag, (counts.get(tag) || 0) + solved));
+    });
+
+    return Array.from(counts.entries())
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, SKILL_TAG_COUNT)
+        .map(([tag]) => tag);
+}
+
+function renderSkillChart(key, canvasId, entries) {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return;
+
+    if (charts[key]) {
+        charts[key].destroy();
+    }
+
+    const theme = getChartTheme();
+    const tags = pickSkillTags(entries.map(entry => entry.skills));
+
+    charts[key] = new Chart(ctx, {
+        type: 'radar',
+        data: {
+            labels: tags,
+            datasets: entries.map(({ label, skills, color }) => ({
+                label,
+                data: tags.map(tag => (skills.get(tag) ? skills.get(tag).score : SKILL_FLOOR_RATING)),
+                borderColor: color,
+                backgroundColor: `${color}33`,
+                borderWidth: 2,
+                pointBackgroundColor: color,
+                pointBorderColor: theme.surface,
+                pointRadius: 4
+            }))
+        },
+        options: createChartOptions({
+            plugins: {
+                legend: {
+                    display: entries.length > 1,
+                    labels: {
+                        usePointStyle: true
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: context => `${context.dataset.label}: ${context.raw}`,
+                        afterLabel: context => explainTagSkill(entries[context.datasetIndex].skills.get(tags[context.dataIndex]))
+                    }
+                }
+            },
+            scales: {
+                r: {
+                    suggestedMin: SKILL_FLOOR_RATING,
+                    angleLines: {
+                        color: theme.grid
+                    },
+                    pointLabels: {
+                        color: theme.text
+                    },
+                    ticks: {
+                        backdropColor: 'transparent'
+                    }
+                }
+            }
+        })
+    });
+}
+
+export function createSkillChart(acceptedSubmissions) {
+    renderSkillChart('skill', 'skillChart', [{
+        label: 'Skill',
+        skills: calculateTagSkills(acceptedSubmissions),
+        color: getCssVar('--primary-color')
+    }]);
+}
+
+export function createComparisonSkillChart(users) {
+    renderSkillChart('comparisonSkill', 'comparisonSkillChart', users.map(({ user, accepted }, i) => ({
+        label: user.handle,
+        skills: calculateTagSkills(accepted),
+        color: COMPARISON_COLORS[i % COMPARISON_COLORS.length]
+    })));
+}
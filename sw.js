@@ -0,0 +1,196 @@
+const SHELL_CACHE = 'cf-metrics-shell-v7';
+const API_CACHE = 'cf-metrics-api-v1';
+const OFFLINE_PROFILE_COUNT = 5;
+const RECENT_PROFILES_KEY = '/__recent-profiles';
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'dom.js',
+    'charts.js',
+    'analytics.js',
+    'theme.js',
+    'api.js',
+    'cache.js',
+    'recommender.js',
+    'activity.js',
+    'quality.js',
+    'router.js',
+    'export.js',
+    'contests.js',
+    'upsolve.js',
+    'goals.js',
+    'explorer.js',
+    'skill.js',
+    'upcoming.js',
+    'trends.js',
+    'duel.js',
+    'watchlist.js',
+    'search.js',
+    'rating-math.js',
+    'performance.js',
+    'offline.js',
+    'script.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/hammer.js/2.0.8/hammer.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/chartjs-plugin-zoom/1.2.1/chartjs-plugin-zoom.min.js'
+];
+
+// Methods whose responses belong to one profile; only the most recently analyzed profiles
+// are kept. Everything else (problemset, contest lists) is shared and always kept.
+const PROFILE_METHODS = new Set(['user.info', 'user.rating', 'user.status']);
+// Signing parameters change on every request and must not be part of the cache key.
+const VOLATILE_PARAMS = new Set(['apiKey', 'time', 'apiSig']);
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES.map(url => new Request(url, { mode: 'cors' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Requests may go through a CORS proxy, so the Codeforces URL is looked for anywhere in the
+// (decoded) request URL.
+function getApiCacheKey(url) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(url);
+    } catch (error) {
+        return null;
+    }
+
+    const match = decoded.match(/codeforces\.com\/api\/([\w.]+)\??([^#]*)/);
+    if (!match) return null;
+
+    const params = new URLSearchParams(match[2]);
+    const kept = Array.from(params.entries())
+        .filter(([key]) => !VOLATILE_PARAMS.has(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    return {
+        method: match[1],
+        handle: match[1] === 'user.info' ? params.get('handles') : params.get('handle'),
+        url: `https://codeforces.com/api/${match[1]}?${new URLSearchParams(kept)}`
+    };
+}
+
+async function rememberProfile(cache, handle) {
+    const stored = await cache.match(RECENT_PROFILES_KEY);
+    const recent = stored ? await stored.json() : [];
+    const key = handle.toLowerCase();
+    const updated = [key, ...recent.filter(h => h !== key)].slice(0, OFFLINE_PROFILE_COUNT);
+
+    await cache.put(RECENT_PROFILES_KEY, new Response(JSON.stringify(updated)));
+
+    const dropped = recent.filter(h => !updated.includes(h));
+    if (!dropped.length) return;
+
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(request => {
+            const cacheKey = getApiCacheKey(request.url);
+            return cacheKey && cacheKey.handle && dropped.includes(cacheKey.handle.toLowerCase());
+        })
+        .map(request => cache.delete(request)));
+}
+
+async function cacheApiResponse(cacheKey, response) {
+    const body = await response.text();
+    let data;
+    try {
+        data = JSON.parse(body);
+    } catch (error) {
+        return;
+    }
+    if (data.status !== 'OK') return;
+
+    const cache = await caches.open(API_CACHE);
+    await cache.put(cacheKey.url, new Response(body, {
+        headers: {
+            'Content-Type': 'application/json',
+            [CACHED_AT_HEADER]: Date.now().toString()
+        }
+    }));
+
+    if (PROFILE_METHODS.has(cacheKey.method) && cacheKey.handle && !cacheKey.handle.includes(';')) {
+        await rememberProfile(cache, cacheKey.handle);
+    }
+}
+
+// Network first; when the network is unreachable the last good response is replayed with
+// an `offlineSnapshot` timestamp so the page can tell the user how old the data is.
+async function handleApiRequest(request, cacheKey) {
+    try {
+        const response = await fetch(request);
+        cacheApiResponse(cacheKey, response.clone()).catch(() => {});
+        return response;
+    } catch (error) {
+        const cache = await caches.open(API_CACHE);
+        const cached = await cache.match(cacheKey.url);
+        if (!cached) throw error;
+
+        const data = await cached.json();
+        data.offlineSnapshot = parseInt(cached.headers.get(CACHED_AT_HEADER));
+        return new Response(JSON.stringify(data), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
+// Stale-while-revalidate: the cached shell is served immediately and refreshed in the
+// background, so a deploy shows up on the next visit.
+async function handleShellRequest(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        network.catch(() => {});
+        return cached;
+    }
+
+    try {
+        return await network;
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+
+    const cacheKey = getApiCacheKey(event.request.url);
+    if (cacheKey) {
+        event.respondWith(handleApiRequest(event.request, cacheKey));
+        return;
+    }
+
+    // Font Awesome's web fonts are not listed above; they are cached the first time they load.
+    const url = new URL(event.request.url);
+    if (url.origin === self.location.origin || url.hostname === 'cdnjs.cloudflare.com') {
+        event.respondWith(handleShellRequest(event.request));
+    }
+});
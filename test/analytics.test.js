@@ -0,0 +1,222 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    calculateContestStats,
+    calculateProblemStats,
+    classifyContest,
+    calculateRollingDeltas,
+    calculateSolveTrends,
+    countRecentSolves,
+    filterContestsByType,
+    filterRatingHistoryByTime,
+    forecastRating,
+    getFirstSolves,
+    getRatingBucket,
+    processSubmissions
+} from '../analytics.js';
+import { loadFixture } from './fixtures.js';
+
+const submissions = loadFixture('user.status').result;
+const ratingHistory = loadFixture('user.rating').result;
+
+function contestIds(history) {
+    return history.map(contest => contest.contestId);
+}
+
+test('processSubmissions keeps one accepted submission per problem', () => {
+    const accepted = processSubmissions(submissions);
+    const keys = accepted.map(sub => `${sub.problem.contestId}${sub.problem.index}`).sort();
+
+    assert.deepEqual(keys, ['1843A', '1843B', '1843C', '1848B', '1854A1', '1996A', '1996B']);
+    assert.ok(accepted.every(sub => sub.verdict === 'OK'));
+});
+
+test('processSubmissions leaves gym submissions out', () => {
+    const accepted = processSubmissions(submissions);
+    assert.ok(accepted.every(sub => sub.problem.contestId < 100000));
+});
+
+test('processSubmissions handles users with zero submissions', () => {
+    assert.deepEqual(processSubmissions(loadFixture('user.status.empty').result), []);
+});
+
+test('calculateProblemStats counts unrated problems by level and tag only', () => {
+    const stats = calculateProblemStats(processSubmissions(submissions));
+
+    assert.deepEqual(stats.levels, { A: 2, B: 3, C: 1, A1: 1 });
+    assert.deepEqual(stats.ratings, { 800: 3, 1200: 1, 1400: 1 });
+    assert.equal(stats.tags.greedy, 4);
+    assert.equal(stats.tags['ternary search'], 1);
+});
+
+test('calculateProblemStats tolerates problems without tags', () => {
+    const stats = calculateProblemStats([{ problem: { contestId: 1, index: 'A', rating: 900 } }]);
+    assert.deepEqual(stats, { levels: { A: 1 }, ratings: { 900: 1 }, tags: {} });
+});
+
+test('calculateProblemStats returns empty stats for zero submissions', () => {
+    assert.deepEqual(calculateProblemStats([]), { levels: {}, ratings: {}, tags: {} });
+});
+
+test('calculateContestStats summarises rated contests', () => {
+    assert.deepEqual(calculateContestStats(ratingHistory), {
+        attended: 15,
+        bestRank: 105,
+        avgRating: 1418
+    });
+});
+
+test('calculateContestStats returns placeholders for unrated users', () => {
+    assert.deepEqual(calculateContestStats(loadFixture('user.rating.unrated').result), {
+        attended: 0,
+        bestRank: '-',
+        avgRating: '-'
+    });
+});
+
+test('filterRatingHistoryByTime keeps contests inside the time frame', () => {
+    const now = Date.UTC(2024, 8, 10);
+
+    assert.deepEqual(contestIds(filterRatingHistoryByTime(ratingHistory, '6M', now)), [1943, 1945, 1996, 2009]);
+    assert.deepEqual(contestIds(filterRatingHistoryByTime(ratingHistory, '1Y', now)), [1870, 1881, 1910, 1930, 1943, 1945, 1996, 2009]);
+    assert.equal(filterRatingHistoryByTime(ratingHistory, 'All', now), ratingHistory);
+});
+
+test('filterRatingHistoryByTime handles unrated users', () => {
+    assert.deepEqual(filterRatingHistoryByTime([], '6M'), []);
+});
+
+test('filterContestsByType includes combined rounds in both divisions', () => {
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Div. 1')), [1842, 1854, 1870]);
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Div. 2')), [1842, 1845, 1848, 1858, 1870]);
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Div. 1 + Div. 2')), [1842, 1870]);
+});
+
+test('filterContestsByType recognises the other contest categories', () => {
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Div. 3')), [1843, 1857, 1881, 1945, 1996]);
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Div. 4')), [2009]);
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Educational')), [1845]);
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Global')), [1943]);
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Kotlin / April Fools')), [1910]);
+    assert.equal(filterContestsByType(ratingHistory, 'All'), ratingHistory);
+});
+
+test('filterContestsByType prefers names from contest.list', () => {
+    const contestMetadata = new Map([[1930, { id: 1930, name: 'think-cell Round 1 (Div. 1 + Div. 2)', type: 'CF' }]]);
+    assert.deepEqual(contestIds(filterContestsByType(ratingHistory, 'Div. 1', contestMetadata)), [1842, 1854, 1870, 1930]);
+});
+
+test('classifyContest counts combined rounds towards both divisions', () => {
+    assert.deepEqual(classifyContest({ name: 'Codeforces Round 889 (Div. 1 + Div. 2)' }), ['Div. 1', 'Div. 2', 'Div. 1 + Div. 2']);
+    assert.deepEqual(classifyContest({ name: 'Codeforces Round 889 (Div. 2)' }), ['Div. 2']);
+});
+
+test('classifyContest does not count educational rounds with CF rules', () => {
+    assert.deepEqual(classifyContest({ name: 'Educational Codeforces Round 151 (Rated for Div. 2)', type: 'ICPC' }), ['Div. 2', 'Educational']);
+    assert.deepEqual(classifyContest({ name: 'Educational Round Special (Div. 2)', type: 'CF' }), ['Div. 2']);
+});
+
+test('getFirstSolves keeps the earliest accepted submission per problem', () => {
+    const firstSolves = getFirstSolves(submissions);
+    const longLong = firstSolves.find(sub => sub.problem.contestId === 1843 && sub.problem.index === 'B');
+
+    assert.equal(firstSolves.length, 7);
+    assert.equal(longLong.creationTimeSeconds, 1687900600);
+});
+
+test('calculateRollingDeltas averages over the trailing window', () => {
+    const rolling = calculateRollingDeltas(ratingHistory, 3);
+
+    assert.equal(rolling.length, ratingHistory.length - 1);
+    assert.equal(rolling[0].contest.contestId, 1842);
+    assert.equal(rolling[0].average, 160);
+    assert.equal(rolling[1].delta, 117);
+    assert.equal(rolling[3].average, (117 + 105 - 22) / 3);
+    assert.deepEqual(calculateRollingDeltas([]), []);
+});
+
+test('calculateRollingDeltas leaves out the first contest from a rating of 0', () => {
+    const rolling = calculateRollingDeltas(ratingHistory.slice(0, 1));
+    assert.deepEqual(rolling, []);
+});
+
+test('getRatingBucket groups problems by rating', () => {
+    assert.equal(getRatingBucket(800), '< 1200');
+    assert.equal(getRatingBucket(1600), '1600–1999');
+    assert.equal(getRatingBucket(3500), '2000+');
+    assert.equal(getRatingBucket(undefined), 'Unrated');
+});
+
+test('calculateSolveTrends keeps empty weeks between solves', () => {
+    const now = new Date(2024, 0, 31, 12).getTime();
+    const solve = (date, rating) => ({
+        creationTimeSeconds: date.getTime() / 1000,
+        problem: { contestId: 1, index: 'A', rating }
+    });
+    const weeks = calculateSolveTrends([
+        solve(new Date(2024, 0, 3, 10), 800),
+        solve(new Date(2024, 0, 4, 10), 1500),
+        solve(new Date(2024, 0, 17, 10))
+    ], 'week', now);
+
+    assert.deepEqual(weeks.map(week => new Date(week.start).getDate()), [1, 8, 15, 22, 29]);
+    assert.deepEqual(weeks.map(week => week.solved), [2, 0, 1, 0, 0]);
+    assert.equal(weeks[0].buckets['< 1200'], 1);
+    assert.equal(weeks[0].buckets['1200–1599'], 1);
+    assert.equal(weeks[2].buckets.Unrated, 1);
+    assert.deepEqual(weeks.map(week => week.averageRating), [1150, null, null, null, null]);
+});
+
+test('calculateSolveTrends groups by month', () => {
+    const months = calculateSolveTrends(getFirstSolves(submissions), 'month', Date.UTC(2024, 7, 15));
+
+    assert.equal(new Date(months[0].start).getMonth(), 5);
+    assert.equal(months.reduce((sum, month) => sum + month.solved, 0), 7);
+    assert.equal(months[0].averageRating, 800);
+});
+
+test('calculateSolveTrends handles users with zero submissions', () => {
+    assert.deepEqual(calculateSolveTrends([], 'week'), []);
+});
+
+test('forecastRating continues the trend with a widening band', () => {
+    const steady = Array.from({ length: 8 }, (_, i) => ({ oldRating: 1000 + i * 50, newRating: 1050 + i * 50 }));
+    const { trend, points } = forecastRating(steady, 3);
+
+    assert.equal(Math.round(trend), 50);
+    assert.deepEqual(points.map(point => point.rating), [1450, 1500, 1550]);
+    assert.ok(points.every(point => point.lower <= point.rating && point.upper >= point.rating));
+});
+
+test('forecastRating widens the band for noisy histories', () => {
+    const { points } = forecastRating(ratingHistory, 5);
+
+    assert.equal(points.length, 5);
+    points.slice(1).forEach((point, i) => {
+        assert.ok(point.upper - point.lower > points[i].upper - points[i].lower);
+    });
+});
+
+test('forecastRating ignores the jump from a rating of 0', () => {
+    const history = [
+        { oldRating: 0, newRating: 1400 },
+        ...Array.from({ length: 6 }, (_, i) => ({ oldRating: 1400 + i * 10, newRating: 1410 + i * 10 }))
+    ];
+    const { trend } = forecastRating(history, 1);
+
+    assert.equal(Math.round(trend), 10);
+});
+
+test('forecastRating needs at least three contests entered with a rating', () => {
+    assert.deepEqual(forecastRating(ratingHistory.slice(0, 3)), { trend: 0, points: [] });
+    assert.deepEqual(forecastRating([]), { trend: 0, points: [] });
+});
+
+test('countRecentSolves counts problems first solved inside the window', () => {
+    const now = (1722440600 + 60) * 1000;
+
+    assert.equal(countRecentSolves(submissions, 1, now), 2);
+    assert.equal(countRecentSolves(submissions, 60, now), 2);
+    assert.equal(countRecentSolves(submissions, 3650, now), 7);
+    assert.equal(countRecentSolves([], 30, now), 0);
+});
@@ -0,0 +1,188 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ApiUnavailableError,
+    CodeforcesApiError,
+    HandleNotFoundError,
+    MalformedResponseError,
+    NetworkError,
+    RateLimitError,
+    createCodeforcesClient,
+    describeError
+} from '../api.js';
+import { loadFixture } from './fixtures.js';
+
+const originalFetch = globalThis.fetch;
+
+function jsonResponse(body, status = 200) {
+    return { status, json: async () => body };
+}
+
+function malformedResponse(status) {
+    return {
+        status,
+        json: async () => {
+            throw new SyntaxError('Unexpected token < in JSON at position 0');
+        }
+    };
+}
+
+// Answers each fetch with the next queued response; functions are called so they can throw.
+function mockFetch(responses) {
+    const urls = [];
+    globalThis.fetch = async url => {
+        urls.push(url);
+        const next = responses.shift();
+        return typeof next === 'function' ? next() : next;
+    };
+    return urls;
+}
+
+function createClient() {
+    return createCodeforcesClient({}, { minInterval: 0 });
+}
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+test('returns the result of a successful call', async () => {
+    const urls = mockFetch([jsonResponse(loadFixture('user.info'))]);
+
+    const user = await createClient().getUserInfo('sample_user');
+
+    assert.equal(user.handle, 'sample_user');
+    assert.equal(user.rating, 1549);
+    assert.deepEqual(urls, ['https://codeforces.com/api/user.info?handles=sample_user']);
+});
+
+test('returns unrated users without rating fields', async () => {
+    mockFetch([jsonResponse(loadFixture('user.info.unrated'))]);
+
+    const user = await createClient().getUserInfo('fresh_account');
+
+    assert.equal(user.rating, undefined);
+    assert.equal(user.rank, undefined);
+});
+
+test('retries when the call limit is exceeded', async () => {
+    const urls = mockFetch([
+        jsonResponse(loadFixture('call-limit-exceeded'), 503),
+        jsonResponse(loadFixture('user.rating'))
+    ]);
+
+    const history = await createClient().getUserRating('sample_user');
+
+    assert.equal(history.length, 15);
+    assert.equal(urls.length, 2);
+});
+
+test('retries network errors', async () => {
+    const urls = mockFetch([
+        () => {
+            throw new TypeError('Failed to fetch');
+        },
+        jsonResponse(loadFixture('user.status.empty'))
+    ]);
+
+    assert.deepEqual(await createClient().getUserStatus('sample_user'), []);
+    assert.equal(urls.length, 2);
+});
+
+test('gives up after three attempts', async () => {
+    const urls = mockFetch([
+        jsonResponse(loadFixture('call-limit-exceeded'), 503),
+        jsonResponse(loadFixture('call-limit-exceeded'), 503),
+        jsonResponse(loadFixture('call-limit-exceeded'), 503)
+    ]);
+
+    await assert.rejects(createClient().getUserRating('sample_user'), {
+        name: 'RateLimitError',
+        message: 'Call limit exceeded',
+        retryable: true
+    });
+    assert.equal(urls.length, 3);
+});
+
+test('does not retry API errors such as unknown handles', async () => {
+    const urls = mockFetch([jsonResponse(loadFixture('user.info.not-found'), 400)]);
+
+    await assert.rejects(createClient().getUserInfo('no_such_user_404'), error => {
+        assert.ok(error instanceof HandleNotFoundError);
+        assert.ok(error instanceof CodeforcesApiError);
+        assert.equal(error.handle, 'no_such_user_404');
+        assert.equal(error.message, 'handles: User with handle no_such_user_404 not found');
+        assert.equal(error.retryable, false);
+        return true;
+    });
+    assert.equal(urls.length, 1);
+});
+
+test('retries server errors that are not JSON', async () => {
+    const urls = mockFetch([
+        malformedResponse(502),
+        jsonResponse(loadFixture('user.status.empty'))
+    ]);
+
+    assert.deepEqual(await createClient().getUserStatus('sample_user'), []);
+    assert.equal(urls.length, 2);
+});
+
+test('reports the API as unavailable when every attempt fails with a server error', async () => {
+    const urls = mockFetch([malformedResponse(502), malformedResponse(503), malformedResponse(502)]);
+
+    await assert.rejects(createClient().getProblemset(), {
+        name: 'ApiUnavailableError',
+        message: 'HTTP error! status: 502'
+    });
+    assert.equal(urls.length, 3);
+});
+
+test('does not retry responses that are not JSON outside server errors', async () => {
+    const urls = mockFetch([malformedResponse(403)]);
+
+    await assert.rejects(createClient().getProblemset(), error => {
+        assert.ok(error instanceof MalformedResponseError);
+        assert.equal(error.message, 'HTTP error! status: 403');
+        return true;
+    });
+    assert.equal(urls.length, 1);
+});
+
+test('treats JSON without a status as malformed', async () => {
+    const urls = mockFetch([jsonResponse({ result: [] })]);
+
+    await assert.rejects(createClient().getProblemset(), { name: 'MalformedResponseError' });
+    assert.equal(urls.length, 1);
+});
+
+test('reports network failures after three attempts', async () => {
+    const fail = () => {
+        throw new TypeError('Failed to fetch');
+    };
+    mockFetch([fail, fail, fail]);
+
+    await assert.rejects(createClient().getUserRating('sample_user'), error => {
+        assert.ok(error instanceof NetworkError);
+        assert.equal(error.message, 'Network error: Failed to fetch');
+        return true;
+    });
+});
+
+test('describes each error type for the page', () => {
+    assert.match(describeError(new HandleNotFoundError('not found', 'tourist2')), /"tourist2"/);
+    assert.match(describeError(new RateLimitError('Call limit exceeded')), /limiting requests/);
+    assert.match(describeError(new NetworkError('Network error')), /Could not reach Codeforces/);
+    assert.match(describeError(new ApiUnavailableError('HTTP error! status: 502')), /temporarily unavailable/);
+    assert.match(describeError(new MalformedResponseError('HTTP error! status: 403')), /could not read/);
+    assert.equal(describeError(new CodeforcesApiError('contestId: Contest with id 1 not found')), 'contestId: Contest with id 1 not found');
+});
+
+test('calls through a configured CORS proxy', async () => {
+    const urls = mockFetch([jsonResponse(loadFixture('user.rating.unrated'))]);
+    const client = createClient();
+    client.configure({ corsProxy: 'https://proxy.example/' });
+
+    assert.deepEqual(await client.getUserRating('fresh_account'), []);
+    assert.deepEqual(urls, ['https://proxy.example/https://codeforces.com/api/user.rating?handle=fresh_account']);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDuel } from '../duel.js';
+import { loadFixture } from './fixtures.js';
+
+const ratingHistory = loadFixture('user.rating').result;
+
+function contest(contestId, contestName, rank, delta, time) {
+    return { contestId, contestName, rank, oldRating: 1500, newRating: 1500 + delta, ratingUpdateTimeSeconds: time };
+}
+
+function solved(contestId, index, rating) {
+    return { problem: { contestId, index, name: `Problem ${index}`, rating, tags: [] }, verdict: 'OK' };
+}
+
+const first = {
+    ratingHistory: [
+        contest(1, 'Codeforces Round 1 (Div. 2)', 100, 50, 1000),
+        contest(2, 'Codeforces Round 2 (Div. 1 + Div. 2)', 900, -20, 2000),
+        contest(3, 'Educational Codeforces Round 3 (Rated for Div. 2)', 40, 80, 3000),
+        contest(4, 'Codeforces Round 4 (Div. 3)', 10, 30, 4000)
+    ],
+    accepted: [solved(1, 'A', 800), solved(1, 'B', 1200), solved(3, 'C', 1700)]
+};
+
+const second = {
+    ratingHistory: [
+        contest(3, 'Educational Codeforces Round 3 (Rated for Div. 2)', 40, 70, 3000),
+        contest(1, 'Codeforces Round 1 (Div. 2)', 300, 10, 1000),
+        contest(2, 'Codeforces Round 2 (Div. 1 + Div. 2)', 150, 60, 2000)
+    ],
+    accepted: [solved(1, 'A', 800), solved(2, 'D', 2100)]
+};
+
+test('buildDuel lists shared contests oldest first with the winner and running tally', () => {
+    const duel = buildDuel(first, second);
+
+    assert.deepEqual(duel.rows.map(row => row.contest.contestId), [1, 2, 3]);
+    assert.deepEqual(duel.rows.map(row => row.winner), [0, 1, null]);
+    assert.deepEqual(duel.rows.map(row => row.tally), [
+        { wins: [1, 0], draws: 0 },
+        { wins: [1, 1], draws: 0 },
+        { wins: [1, 1], draws: 1 }
+    ]);
+    assert.deepEqual(duel.tally, { wins: [1, 1], draws: 1 });
+});
+
+test('buildDuel reports the largest rank gap', () => {
+    const { largestGap } = buildDuel(first, second);
+
+    assert.equal(largestGap.contest.contestId, 2);
+    assert.equal(largestGap.gap, 750);
+    assert.equal(largestGap.winner, 1);
+});
+
+test('buildDuel breaks results down by division', () => {
+    const { divisions } = buildDuel(first, second);
+
+    assert.deepEqual(divisions.map(({ division }) => division).sort(), ['Div. 1 + Div. 2', 'Div. 2', 'Educational']);
+    assert.deepEqual(divisions.find(({ division }) => division === 'Div. 2'), { division: 'Div. 2', contests: 1, wins: [1, 0], draws: 0 });
+    assert.deepEqual(divisions.find(({ division }) => division === 'Educational'), { division: 'Educational', contests: 1, wins: [0, 0], draws: 1 });
+});
+
+test('buildDuel lists problems only one user solved, hardest first', () => {
+    const { onlySolved } = buildDuel(first, second);
+
+    assert.deepEqual(onlySolved[0].map(problem => `${problem.contestId}${problem.index}`), ['3C', '1B']);
+    assert.deepEqual(onlySolved[1].map(problem => `${problem.contestId}${problem.index}`), ['2D']);
+});
+
+test('buildDuel handles users without shared contests', () => {
+    const duel = buildDuel({ ratingHistory, accepted: [] }, { ratingHistory: [], accepted: [] });
+
+    assert.deepEqual(duel.rows, []);
+    assert.equal(duel.largestGap, null);
+    assert.deepEqual(duel.divisions, []);
+    assert.deepEqual(duel.onlySolved, [[], []]);
+});
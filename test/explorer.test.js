@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesExplorerFilters } from '../explorer.js';
+
+const DEFAULT_FILTERS = { search: '', minRating: null, maxRating: null, tags: [], tagMode: 'and', index: '', from: '', to: '' };
+
+function row(index, overrides = {}) {
+    return {
+        problem: { contestId: 1900, index, name: `Problem ${index}`, rating: 1600, tags: ['greedy'], ...overrides },
+        solvedAt: 1700000000,
+        language: 'C++17',
+        attempts: 1
+    };
+}
+
+function matching(rows, filters) {
+    return rows.filter(r => matchesExplorerFilters(r, { ...DEFAULT_FILTERS, ...filters })).map(r => r.problem.index);
+}
+
+test('matchesExplorerFilters matches indexes exactly, like the levels chart', () => {
+    const rows = [row('C'), row('C1'), row('C2'), row('D')];
+
+    assert.deepEqual(matching(rows, { index: 'C' }), ['C']);
+    assert.deepEqual(matching(rows, { index: 'C1' }), ['C1']);
+    assert.deepEqual(matching(rows, {}), ['C', 'C1', 'C2', 'D']);
+});
+
+test('matchesExplorerFilters combines rating and tag filters', () => {
+    const rows = [row('A', { rating: 800, tags: ['math'] }), row('B', { rating: 1600, tags: ['greedy', 'math'] }), row('C', { rating: undefined })];
+
+    assert.deepEqual(matching(rows, { minRating: 1000 }), ['B']);
+    assert.deepEqual(matching(rows, { maxRating: 1000 }), ['A']);
+    assert.deepEqual(matching(rows, { tags: ['greedy', 'math'] }), ['B']);
+    assert.deepEqual(matching(rows, { tags: ['greedy', 'math'], tagMode: 'or' }), ['A', 'B', 'C']);
+});
@@ -0,0 +1,6 @@
+import { readFileSync } from 'node:fs';
+
+// Fixtures are Codeforces API responses saved verbatim, envelope included.
+export function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPerformance } from '../performance.js';
+import {
+    calculatePerformance,
+    calculateRatingDeltas,
+    getEffectiveRating,
+    predictRatingDelta
+} from '../rating-math.js';
+
+// 99 participants rated 1500 who finished 1st to 100th, leaving 50th place free.
+const evenField = Array.from({ length: 99 }, (_, i) => ({ rating: 1500, rank: i < 49 ? i + 1 : i + 2 }));
+
+test('calculateRatingDeltas rewards an upset more than an expected win', () => {
+    // A 400 point gap gives the stronger participant 10:1 odds of finishing ahead.
+    const [underdog] = calculateRatingDeltas([{ rating: 1500, rank: 1 }, { rating: 1900, rank: 2 }]);
+    const [favourite] = calculateRatingDeltas([{ rating: 1900, rank: 1 }, { rating: 1500, rank: 2 }]);
+
+    assert.ok(underdog > favourite);
+    assert.ok(favourite > 0);
+});
+
+test('getEffectiveRating rates new accounts as 1400', () => {
+    assert.equal(getEffectiveRating(0), 1400);
+    assert.equal(getEffectiveRating(1234), 1234);
+});
+
+test('calculateRatingDeltas matches the published algorithm for a two person contest', () => {
+    // Worked by hand: the raw deltas are +179 and +47, the correction -114 brings them to 65 and -67.
+    assert.deepEqual(calculateRatingDeltas([{ rating: 1500, rank: 1 }, { rating: 1500, rank: 2 }]), [65, -67]);
+});
+
+test('calculateRatingDeltas keeps the total change slightly negative', () => {
+    const deltas = calculateRatingDeltas([...evenField, { rating: 1500, rank: 50 }]);
+    const sum = deltas.reduce((total, delta) => total + delta, 0);
+
+    assert.ok(sum < 0 && sum >= -11 * deltas.length);
+    assert.ok(deltas[0] > deltas[deltas.length - 2]);
+});
+
+test('calculatePerformance of a middle finish is close to the field rating', () => {
+    assert.ok(Math.abs(calculatePerformance(evenField, 50) - 1500) <= 5);
+    assert.ok(calculatePerformance(evenField, 10) > calculatePerformance(evenField, 50));
+    assert.ok(calculatePerformance(evenField, 90) < calculatePerformance(evenField, 50));
+});
+
+test('predictRatingDelta pushes everyone at or below the new rank down one place', () => {
+    // Beating the only opponent gives the same result as the two person contest above.
+    assert.equal(predictRatingDelta([{ rating: 1500, rank: 1 }], 1500, 1), 65);
+    assert.equal(predictRatingDelta([{ rating: 1500, rank: 1 }], 1500, 2), -67);
+});
+
+test('predictRatingDelta rewards better finishes', () => {
+    const deltas = [1, 25, 50, 75, 100].map(rank => predictRatingDelta(evenField, 1500, rank));
+    deltas.slice(1).forEach((delta, i) => assert.ok(delta < deltas[i]));
+    assert.ok(deltas[0] > 0 && deltas[4] < 0);
+});
+
+test('formatPerformance caps very high performances', () => {
+    assert.equal(formatPerformance(2345), '2345');
+    assert.equal(formatPerformance(4000), '4000+');
+    assert.equal(formatPerformance(7999), '4000+');
+});
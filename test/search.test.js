@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { editDistance, findClosestHandle, suggestHandles } from '../search.js';
+
+const known = ['tourist', 'Benq', 'jiangly', 'tourist_fan', 'ecnerwala', 'Um_nik'];
+
+test('editDistance counts insertions, deletions and substitutions case-insensitively', () => {
+    assert.equal(editDistance('tourist', 'tourist'), 0);
+    assert.equal(editDistance('Tourist', 'tourist'), 0);
+    assert.equal(editDistance('toruist', 'tourist'), 2);
+    assert.equal(editDistance('tourst', 'tourist'), 1);
+    assert.equal(editDistance('', 'benq'), 4);
+});
+
+test('suggestHandles puts prefix matches before other matches', () => {
+    assert.deepEqual(suggestHandles('tour', known), ['tourist', 'tourist_fan']);
+    assert.deepEqual(suggestHandles('N', known), ['Benq', 'jiangly', 'tourist_fan', 'ecnerwala', 'Um_nik']);
+    assert.deepEqual(suggestHandles('ist', known), ['tourist', 'tourist_fan']);
+});
+
+test('suggestHandles skips duplicates, excluded handles and exact matches', () => {
+    assert.deepEqual(suggestHandles('t', ['tourist', 'Tourist', 'tmw']), ['tourist', 'tmw']);
+    assert.deepEqual(suggestHandles('t', known, { exclude: ['TOURIST'] }), ['tourist_fan']);
+    assert.deepEqual(suggestHandles('benq', known), []);
+    assert.equal(suggestHandles('', known, { limit: 3 }).length, 3);
+});
+
+test('findClosestHandle offers a near miss and nothing for unrelated handles', () => {
+    assert.equal(findClosestHandle('toursit', known), 'tourist');
+    assert.equal(findClosestHandle('jiangyl', known), 'jiangly');
+    assert.equal(findClosestHandle('um_nick', known), 'Um_nik');
+    assert.equal(findClosestHandle('petr', known), null);
+    assert.equal(findClosestHandle('tourist', known), null);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendar, isRatedFor } from '../upcoming.js';
+
+const contest = {
+    id: 2050,
+    name: 'Codeforces Round 991 (Div. 3)',
+    type: 'ICPC',
+    phase: 'BEFORE',
+    durationSeconds: 8100,
+    startTimeSeconds: 1733409300
+};
+
+test('isRatedFor checks the division rating limits', () => {
+    assert.equal(isRatedFor(contest, 1599), true);
+    assert.equal(isRatedFor(contest, 1600), false);
+    assert.equal(isRatedFor({ name: 'Codeforces Round 990 (Div. 1)' }, 1899), false);
+    assert.equal(isRatedFor({ name: 'Codeforces Round 990 (Div. 1)' }, 2400), true);
+    assert.equal(isRatedFor({ name: 'Educational Codeforces Round 172 (Rated for Div. 2)', type: 'ICPC' }, 0), true);
+});
+
+test('isRatedFor treats combined and global rounds as open to everyone', () => {
+    assert.equal(isRatedFor({ name: 'Codeforces Round 992 (Div. 1 + Div. 2)' }, 1000), true);
+    assert.equal(isRatedFor({ name: 'Codeforces Round 992 (Div. 1 + Div. 2)' }, 3000), true);
+    assert.equal(isRatedFor({ name: 'Codeforces Global Round 28' }, 3000), true);
+});
+
+test('isRatedFor returns null when the name does not say', () => {
+    assert.equal(isRatedFor({ name: 'Kotlin Heroes: Practice 11' }, 1500), null);
+});
+
+test('buildCalendar writes one event per contest', () => {
+    const calendar = buildCalendar([contest], Date.UTC(2024, 11, 1, 12));
+    const lines = calendar.split('\r\n');
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('UID:codeforces-contest-2050@cf-metrics'));
+    assert.ok(lines.includes('DTSTAMP:20241201T120000Z'));
+    assert.ok(lines.includes('DTSTART:20241205T143500Z'));
+    assert.ok(lines.includes('DTEND:20241205T165000Z'));
+    assert.ok(lines.includes('SUMMARY:Codeforces Round 991 (Div. 3)'));
+    assert.ok(lines.includes('URL:https://codeforces.com/contests/2050'));
+});
+
+test('buildCalendar escapes text and folds long lines', () => {
+    const name = 'Codeforces Round 993, based on the Ünïvërsïty Olympiad; Rated for Div. 2 and Div. 3 participants';
+    const calendar = buildCalendar([{ ...contest, name }]);
+
+    calendar.split('\r\n').forEach(line => {
+        assert.ok(new TextEncoder().encode(line).length <= 75, line);
+    });
+
+    const unfolded = calendar.replace(/\r\n /g, '');
+    assert.ok(unfolded.includes(`SUMMARY:Codeforces Round 993\\, based on the Ünïvërsïty Olympiad\\; Rated for Div. 2 and Div. 3 participants`));
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWatchEntry, diffWatchEntries } from '../watchlist.js';
+import { loadFixture } from './fixtures.js';
+
+const user = loadFixture('user.info').result[0];
+const ratingHistory = loadFixture('user.rating').result;
+const checkedAt = Date.UTC(2024, 7, 1);
+
+function entry(overrides = {}) {
+    return {
+        handle: 'sample_user',
+        rating: 1549,
+        maxRating: 1600,
+        rank: 'specialist',
+        lastOnline: 1722470000,
+        contests: 15,
+        lastDelta: 20,
+        lastContestName: 'Codeforces Round 960 (Div. 2)',
+        recentSolves: [],
+        checkedAt,
+        ...overrides
+    };
+}
+
+test('buildWatchEntry summarises the profile and recent solves', () => {
+    const now = checkedAt;
+    const day = 24 * 60 * 60;
+    const submissions = [
+        { verdict: 'OK', creationTimeSeconds: now / 1000 - day, problem: { contestId: 1, index: 'A' } },
+        { verdict: 'WRONG_ANSWER', creationTimeSeconds: now / 1000 - day, problem: { contestId: 1, index: 'B' } },
+        { verdict: 'OK', creationTimeSeconds: now / 1000 - 8 * day, problem: { contestId: 1, index: 'C' } }
+    ];
+    const built = buildWatchEntry(user, ratingHistory, submissions, now);
+    const last = ratingHistory[ratingHistory.length - 1];
+
+    assert.equal(built.handle, user.handle);
+    assert.equal(built.contests, ratingHistory.length);
+    assert.equal(built.lastDelta, last.newRating - last.oldRating);
+    assert.deepEqual(built.recentSolves, [{ key: '1-A', time: now / 1000 - day }]);
+    assert.equal(built.checkedAt, now);
+});
+
+test('buildWatchEntry handles users without contests', () => {
+    const built = buildWatchEntry({ handle: 'fresh_account' }, [], []);
+
+    assert.equal(built.rating, 0);
+    assert.equal(built.lastDelta, null);
+    assert.deepEqual(built.recentSolves, []);
+});
+
+test('diffWatchEntries reports nothing for a first snapshot or an unchanged profile', () => {
+    assert.deepEqual(diffWatchEntries(undefined, entry()), []);
+    assert.deepEqual(diffWatchEntries(entry(), entry()), []);
+});
+
+test('diffWatchEntries reports new contests with the rating change', () => {
+    assert.deepEqual(diffWatchEntries(entry(), entry({ contests: 17, rating: 1590 })), ['2 new contests (+41)']);
+    assert.deepEqual(diffWatchEntries(entry(), entry({ contests: 16, rating: 1500 })), ['1 new contest (-49)']);
+});
+
+test('diffWatchEntries reports a rating change without new contests', () => {
+    assert.deepEqual(diffWatchEntries(entry(), entry({ rating: 1560 })), ['Rating +11']);
+});
+
+test('diffWatchEntries reports rank changes', () => {
+    assert.deepEqual(
+        diffWatchEntries(entry(), entry({ contests: 16, rating: 1610, rank: 'expert' })),
+        ['1 new contest (+61)', 'specialist → expert']
+    );
+    assert.deepEqual(diffWatchEntries(entry({ rank: '' }), entry()), ['unrated → specialist']);
+});
+
+test('diffWatchEntries counts problems solved after the previous check', () => {
+    const before = { key: '1-A', time: checkedAt / 1000 - 60 };
+    const after = { key: '1-B', time: checkedAt / 1000 + 60 };
+    const later = { key: '1-C', time: checkedAt / 1000 + 120 };
+
+    assert.deepEqual(diffWatchEntries(entry(), entry({ recentSolves: [before, after, later] })), ['2 new solves']);
+    assert.deepEqual(diffWatchEntries(entry(), entry({ recentSolves: [after] })), ['1 new solve']);
+    assert.deepEqual(diffWatchEntries(entry(), entry({ recentSolves: [before] })), []);
+});
+
+test('buildWatchEntry counts each recently solved problem once, at its first accepted submission', () => {
+    const now = checkedAt;
+    const day = 24 * 60 * 60;
+    const submissions = [
+        { verdict: 'OK', creationTimeSeconds: now / 1000 - day, problem: { contestId: 1, index: 'A' } },
+        { verdict: 'OK', creationTimeSeconds: now / 1000 - 2 * day, problem: { contestId: 1, index: 'A' } },
+        { verdict: 'OK', creationTimeSeconds: now / 1000 - day, problem: { contestId: 1, index: 'C' } },
+        { verdict: 'OK', creationTimeSeconds: now / 1000 - 30 * day, problem: { contestId: 1, index: 'C' } }
+    ];
+
+    assert.deepEqual(buildWatchEntry(user, ratingHistory, submissions, now).recentSolves, [
+        { key: '1-A', time: now / 1000 - 2 * day }
+    ]);
+});
+
+test('diffWatchEntries ignores problems already counted and entries stored before recentSolves', () => {
+    const solve = { key: '1-A', time: checkedAt / 1000 + 60 };
+
+    assert.deepEqual(diffWatchEntries(entry({ recentSolves: [solve] }), entry({ recentSolves: [solve] })), []);
+    assert.deepEqual(diffWatchEntries(entry({ recentSolves: undefined }), entry({ recentSolves: [solve] })), ['1 new solve']);
+});
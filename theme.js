@@ -0,0 +1,153 @@
+const THEME_KEY = 'cf-metrics-theme';
+const THEME_MODES = ['light', 'dark', 'system'];
+const THEME_ICONS = {
+    light: 'fa-sun',
+    dark: 'fa-moon',
+    system: 'fa-desktop'
+};
+
+// The inline script in index.html applies the saved theme before first paint; this module
+// takes over in setupTheme and touches no browser globals on import.
+let systemDarkQuery = null;
+let themeMode = 'system';
+
+function loadThemeMode() {
+    const mode = localStorage.getItem(THEME_KEY);
+    return THEME_MODES.includes(mode) ? mode : 'system';
+}
+
+function resolveTheme(mode) {
+    if (mode !== 'system') return mode;
+    return systemDarkQuery.matches ? 'dark' : 'light';
+}
+
+function applyTheme() {
+    document.documentElement.dataset.theme = resolveTheme(themeMode);
+}
+
+function setThemeMode(mode) {
+    themeMode = mode;
+    localStorage.setItem(THEME_KEY, mode);
+    applyTheme();
+}
+
+function getNextThemeMode() {
+    return THEME_MODES[(THEME_MODES.indexOf(themeMode) + 1) % THEME_MODES.length];
+}
+
+export function getCssVar(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+export function getChartTheme() {
+    return {
+        text: getCssVar('--text-secondary'),
+        grid: getCssVar('--chart-grid'),
+        surface: getCssVar('--bg-primary'),
+        tooltipBackground: getCssVar('--chart-tooltip-bg'),
+        tooltipText: getCssVar('--chart-tooltip-text')
+    };
+}
+
+const RANK_COLOR_VARS = {
+    'newbie': '--rank-newbie',
+    'pupil': '--rank-pupil',
+    'specialist': '--rank-specialist',
+    'expert': '--rank-expert',
+    'candidate master': '--rank-candidate-master',
+    'master': '--rank-master',
+    'international master': '--rank-master',
+    'grandmaster': '--rank-grandmaster',
+    'international grandmaster': '--rank-grandmaster',
+    'legendary grandmaster': '--rank-grandmaster'
+};
+
+export function getRankColor(rank) {
+    const colorVar = rank && RANK_COLOR_VARS[rank.toLowerCase()];
+    return getCssVar(colorVar || '--text-secondary');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && typeof value !== 'function';
+}
+
+function mergeOptions(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeOptions(base[key], value)
+            : value;
+    });
+    return merged;
+}
+
+// Builds Chart.js options with the current theme's text, grid and tooltip colours. Every axis
+// listed in `overrides.scales` picks up the themed grid and tick colours.
+export function createChartOptions(overrides = {}) {
+    const theme = getChartTheme();
+    const base = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: {
+                labels: {
+                    color: theme.text
+                }
+            },
+            tooltip: {
+                backgroundColor: theme.tooltipBackground,
+                titleColor: theme.tooltipText,
+                bodyColor: theme.tooltipText,
+                borderColor: getCssVar('--primary-color'),
+                borderWidth: 1,
+                cornerRadius: 8
+            }
+        }
+    };
+
+    if (overrides.scales) {
+        base.scales = {};
+        Object.keys(overrides.scales).forEach(axis => {
+            base.scales[axis] = {
+                grid: {
+                    color: theme.grid
+                },
+                ticks: {
+                    color: theme.text
+                }
+            };
+        });
+    }
+
+    return mergeOptions(base, overrides);
+}
+
+function updateThemeButton() {
+    const button = document.getElementById('themeBtn');
+    if (!button) return;
+
+    button.title = `Theme: ${themeMode}`;
+    button.querySelector('i').className = `fas ${THEME_ICONS[themeMode]}`;
+}
+
+export function setupTheme(onChange) {
+    systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    themeMode = loadThemeMode();
+    applyTheme();
+    updateThemeButton();
+
+    const button = document.getElementById('themeBtn');
+    if (button) {
+        button.addEventListener('click', () => {
+            setThemeMode(getNextThemeMode());
+            updateThemeButton();
+            onChange();
+        });
+    }
+
+    systemDarkQuery.addEventListener('change', () => {
+        if (themeMode !== 'system') return;
+        applyTheme();
+        onChange();
+    });
+}
@@ -0,0 +1,272 @@
+import {
+    SOLVE_RATING_BUCKETS,
+    UNRATED_BUCKET,
+    calculateRollingDeltas,
+    calculateSolveTrends,
+    forecastRating,
+    getFirstSolves,
+    getRatedContests
+} from './analytics.js';
+import { charts } from './charts.js';
+import { formatDelta } from './dom.js';
+import { createChartOptions, getChartTheme } from './theme.js';
+
+const ROLLING_WINDOW = 5;
+const RECENT_CONTESTS = 10;
+const PLATEAU_THRESHOLD = 10; // Average rating change per contest still counted as flat
+const TREND_PERIOD_LIMITS = {
+    week: 26,
+    month: 24
+};
+const BUCKET_COLORS = {
+    '< 1200': '#10b981',
+    '1200–1599': '#3b82f6',
+    '1600–1999': '#8b5cf6',
+    '2000+': '#f59e0b',
+    [UNRATED_BUCKET]: '#94a3b8'
+};
+
+let trendRatingHistory = [];
+let trendFirstSolves = [];
+let trendPeriod = 'week';
+
+function formatPeriod(start, period) {
+    const date = new Date(start);
+    return period === 'month'
+        ? date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })
+        : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+// Compares the recent average rating change with the threshold, so coaches can tell a
+// plateau from a slow climb at a glance.
+function describeTrend(recentAverage) {
+    if (recentAverage >= PLATEAU_THRESHOLD) return { label: 'Improving', className: 'positive' };
+    if (recentAverage <= -PLATEAU_THRESHOLD) return { label: 'Declining', className: 'negative' };
+    return { label: 'Plateauing', className: '' };
+}
+
+function updateTrendStats() {
+    const recent = getRatedContests(trendRatingHistory).slice(-RECENT_CONTESTS);
+    const averageDelta = document.getElementById('trendAvgDelta');
+    const forecastTrend = document.getElementById('trendForecast');
+    const status = document.getElementById('trendStatus');
+
+    if (recent.length < 3) {
+        averageDelta.textContent = '-';
+        forecastTrend.textContent = '-';
+        status.textContent = 'Not enough contests';
+        status.className = 'stat-value';
+        return;
+    }
+
+    const recentAverage = recent.reduce((sum, contest) => sum + contest.newRating - contest.oldRating, 0) / recent.length;
+    const { trend } = forecastRating(trendRatingHistory, 0);
+    const description = describeTrend(recentAverage);
+
+    averageDelta.textContent = formatDelta(Math.round(recentAverage));
+    forecastTrend.textContent = `${formatDelta(Math.round(trend))} / contest`;
+    status.textContent = description.label;
+    status.className = `stat-value ${description.className}`;
+}
+
+function createRatingTrendChart() {
+    const ctx = document.getElementById('ratingTrendChart');
+    if (!ctx) return;
+
+    if (charts.ratingTrend) {
+        charts.ratingTrend.destroy();
+    }
+
+    const rolling = calculateRollingDeltas(trendRatingHistory, ROLLING_WINDOW);
+    const theme = getChartTheme();
+
+    charts.ratingTrend = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: rolling.map(({ contest }) => new Date(contest.ratingUpdateTimeSeconds * 1000).toLocaleDateString()),
+            datasets: [{
+                type: 'line',
+                label: `${ROLLING_WINDOW}-contest average`,
+                data: rolling.map(({ average }) => Math.round(average * 10) / 10),
+                borderColor: '#3b82f6',
+                borderWidth: 2,
+                tension: 0.3,
+                pointRadius: 0,
+                pointHoverRadius: 4
+            }, {
+                label: 'Rating change',
+                data: rolling.map(({ delta }) => delta),
+                backgroundColor: rolling.map(({ delta }) => delta >= 0 ? 'rgba(16, 185, 129, 0.5)' : 'rgba(239, 68, 68, 0.5)'),
+                borderRadius: 4
+            }]
+        },
+        options: createChartOptions({
+            plugins: {
+                legend: {
+                    labels: {
+                        usePointStyle: true
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: items => rolling[items[0].dataIndex].contest.contestName
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        display: false
+                    }
+                },
+                y: {
+                    grid: {
+                        color: context => context.tick.value === 0 ? theme.text : theme.grid
+                    }
+                }
+            },
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            }
+        })
+    });
+}
+
+function createSolveTrendChart(periods) {
+    const ctx = document.getElementById('solveTrendChart');
+    if (!ctx) return;
+
+    if (charts.solveTrend) {
+        charts.solveTrend.destroy();
+    }
+
+    const buckets = [...SOLVE_RATING_BUCKETS.map(bucket => bucket.label), UNRATED_BUCKET];
+
+    charts.solveTrend = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: periods.map(entry => formatPeriod(entry.start, trendPeriod)),
+            datasets: buckets.map(bucket => ({
+                label: bucket,
+                data: periods.map(entry => entry.buckets[bucket]),
+                backgroundColor: BUCKET_COLORS[bucket],
+                borderRadius: 4
+            }))
+        },
+        options: createChartOptions({
+            plugins: {
+                legend: {
+                    labels: {
+                        usePointStyle: true
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        footer: items => `${periods[items[0].dataIndex].solved} solved`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    grid: {
+                        display: false
+                    }
+                },
+                y: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: {
+                        precision: 0
+                    }
+                }
+            },
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            }
+        })
+    });
+}
+
+function createDifficultyTrendChart(periods) {
+    const ctx = document.getElementById('difficultyTrendChart');
+    if (!ctx) return;
+
+    if (charts.difficultyTrend) {
+        charts.difficultyTrend.destroy();
+    }
+
+    const theme = getChartTheme();
+
+    charts.difficultyTrend = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: periods.map(entry => formatPeriod(entry.start, trendPeriod)),
+            datasets: [{
+                label: 'Average rating of solved problems',
+                data: periods.map(entry => entry.averageRating),
+                borderColor: '#8b5cf6',
+                backgroundColor: 'rgba(139, 92, 246, 0.1)',
+                borderWidth: 2,
+                fill: true,
+                spanGaps: true,
+                tension: 0.3,
+                pointBackgroundColor: '#8b5cf6',
+                pointBorderColor: theme.surface,
+                pointRadius: 3
+            }]
+        },
+        options: createChartOptions({
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    displayColors: false,
+                    callbacks: {
+                        afterLabel: context => `${periods[context.dataIndex].solved} solved`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        display: false
+                    }
+                },
+                y: {
+                    grace: '5%'
+                }
+            }
+        })
+    });
+}
+
+export function renderTrends() {
+    if (!document.getElementById('trendsSection')) return;
+
+    const periods = calculateSolveTrends(trendFirstSolves, trendPeriod).slice(-TREND_PERIOD_LIMITS[trendPeriod]);
+
+    updateTrendStats();
+    createRatingTrendChart();
+    createSolveTrendChart(periods);
+    createDifficultyTrendChart(periods);
+}
+
+export function updateTrends(ratingHistory, submissions) {
+    trendRatingHistory = ratingHistory;
+    trendFirstSolves = getFirstSolves(submissions);
+    renderTrends();
+}
+
+export function setupTrends() {
+    const periodSelect = document.getElementById('trendPeriod');
+    if (!periodSelect) return;
+
+    periodSelect.addEventListener('change', e => {
+        trendPeriod = e.target.value;
+        renderTrends();
+    });
+}
@@ -0,0 +1,296 @@
+import { classifyContest } from './analytics.js';
+import { loadContestList } from './cache.js';
+import { escapeHtml } from './dom.js';
+import { downloadFile } from './export.js';
+
+const REMINDERS_KEY = 'cf-metrics-contest-reminders';
+const REMINDER_LEAD_MS = 15 * 60 * 1000;
+const CALENDAR_LINE_OCTETS = 75;
+
+// Rating ranges for which each division is rated, as announced by Codeforces.
+const DIVISION_RATING_RANGES = {
+    'Div. 1': [1900, Infinity],
+    'Div. 2': [0, 2099],
+    'Div. 3': [0, 1599],
+    'Div. 4': [0, 1399]
+};
+
+let upcomingContests = [];
+let upcomingUser = null;
+let upcomingLoaded = false;
+let upcomingError = false;
+let reminderMessage = '';
+
+function loadReminders() {
+    try {
+        const reminders = JSON.parse(localStorage.getItem(REMINDERS_KEY));
+        return reminders && typeof reminders === 'object' ? reminders : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveReminders(reminders) {
+    localStorage.setItem(REMINDERS_KEY, JSON.stringify(reminders));
+}
+
+// Returns whether a contest is rated for the given rating, or null when its name does not say.
+export function isRatedFor(contest, rating) {
+    const categories = classifyContest(contest);
+    if (categories.includes('Global')) return true;
+
+    const ranges = categories
+        .filter(category => DIVISION_RATING_RANGES[category])
+        .map(category => DIVISION_RATING_RANGES[category]);
+    if (!ranges.length) return null;
+
+    return ranges.some(([min, max]) => rating >= min && rating <= max);
+}
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    if (!hours) return `${minutes}m`;
+    return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+}
+
+function formatCountdown(ms) {
+    if (ms <= 0) return 'Started';
+
+    const totalSeconds = Math.floor(ms / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (days) return `${days}d ${hours}h`;
+    if (hours) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+function formatCalendarDate(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeCalendarText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\n/g, '\\n');
+}
+
+// RFC 5545 limits content lines to 75 octets; longer lines continue after CRLF and a space.
+function foldCalendarLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    Array.from(line).forEach(char => {
+        const size = encoder.encode(char).length;
+        const limit = parts.length ? CALENDAR_LINE_OCTETS - 1 : CALENDAR_LINE_OCTETS;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    });
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+export function buildCalendar(contests, now = Date.now()) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CF Metrics//Upcoming Contests//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    contests.forEach(contest => {
+        const start = contest.startTimeSeconds * 1000;
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:codeforces-contest-${contest.id}@cf-metrics`,
+            `DTSTAMP:${formatCalendarDate(now)}`,
+            `DTSTART:${formatCalendarDate(start)}`,
+            `DTEND:${formatCalendarDate(start + contest.durationSeconds * 1000)}`,
+            `SUMMARY:${escapeCalendarText(contest.name)}`,
+            `URL:https://codeforces.com/contests/${contest.id}`,
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'TRIGGER:-PT15M',
+            `DESCRIPTION:${escapeCalendarText(`${contest.name} starts in 15 minutes`)}`,
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldCalendarLine).join('\r\n') + '\r\n';
+}
+
+function downloadCalendar(contests, filename) {
+    downloadFile(filename, buildCalendar(contests), 'text/calendar;charset=utf-8');
+}
+
+function renderUpcoming() {
+    const tbody = document.getElementById('upcomingBody');
+    if (!tbody || !upcomingLoaded) return;
+
+    const rating = upcomingUser ? upcomingUser.rating || 0 : null;
+    const reminders = loadReminders();
+
+    document.getElementById('upcomingStatus').textContent = reminderMessage || (upcomingUser
+        ? `Highlighted rounds are rated for ${upcomingUser.handle} (${upcomingUser.rating || 'unrated'})`
+        : 'Analyze a profile to highlight the rounds rated for it');
+    document.getElementById('downloadAllContestsBtn').disabled = !upcomingContests.length;
+
+    if (!upcomingContests.length) {
+        tbody.innerHTML = `<tr><td colspan="5">${upcomingError ? 'Could not load upcoming contests.' : 'No upcoming contests announced.'}</td></tr>`;
+        return;
+    }
+
+    tbody.innerHTML = upcomingContests.map(contest => {
+        const start = new Date(contest.startTimeSeconds * 1000);
+        const fits = rating !== null && isRatedFor(contest, rating) === true;
+        const reminded = Boolean(reminders[contest.id]);
+        return `
+            <tr class="${fits ? 'upcoming-fit' : ''}">
+                <td>
+                    <a href="https://codeforces.com/contests/${contest.id}" target="_blank" rel="noopener">${escapeHtml(contest.name)}</a>
+                    ${fits ? '<span class="fit-badge">Rated for you</span>' : ''}
+                </td>
+                <td>${start.toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</td>
+                <td class="countdown" data-start="${start.getTime()}">${formatCountdown(start.getTime() - Date.now())}</td>
+                <td>${formatDuration(contest.durationSeconds)}</td>
+                <td class="upcoming-actions">
+                    <button class="chart-action-btn" data-action="calendar" data-contest="${contest.id}" title="Download an .ics file for this contest">
+                        <i class="fas fa-calendar-plus"></i>
+                    </button>
+                    <button class="chart-action-btn${reminded ? ' active' : ''}" data-action="remind" data-contest="${contest.id}"
+                        title="${reminded ? 'Cancel the reminder' : 'Notify me 15 minutes before the start while this page is open'}">
+                        <i class="fas ${reminded ? 'fa-bell' : 'fa-bell-slash'}"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function notifyContest(contest) {
+    new Notification(contest.name, {
+        body: `Starts in ${formatCountdown(contest.startTimeSeconds * 1000 - Date.now())}`,
+        tag: `codeforces-contest-${contest.id}`
+    });
+}
+
+// Runs every second: updates the countdowns and sends any reminder that is due.
+function tickUpcoming() {
+    const now = Date.now();
+    document.querySelectorAll('#upcomingBody .countdown').forEach(cell => {
+        cell.textContent = formatCountdown(Number(cell.dataset.start) - now);
+    });
+
+    const reminders = loadReminders();
+    const due = upcomingContests.filter(contest => {
+        const start = contest.startTimeSeconds * 1000;
+        return reminders[contest.id] && now >= start - REMINDER_LEAD_MS;
+    });
+    if (!due.length) return;
+
+    due.forEach(contest => {
+        if (now < contest.startTimeSeconds * 1000 && 'Notification' in window && Notification.permission === 'granted') {
+            notifyContest(contest);
+        }
+        delete reminders[contest.id];
+    });
+    saveReminders(reminders);
+    renderUpcoming();
+}
+
+async function toggleReminder(contestId) {
+    const reminders = loadReminders();
+    if (reminders[contestId]) {
+        delete reminders[contestId];
+        saveReminders(reminders);
+        renderUpcoming();
+        return;
+    }
+
+    if (!('Notification' in window)) {
+        reminderMessage = 'This browser does not support notifications';
+        renderUpcoming();
+        return;
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        reminderMessage = 'Notifications are blocked for this site';
+        renderUpcoming();
+        return;
+    }
+
+    reminderMessage = '';
+    reminders[contestId] = true;
+    saveReminders(reminders);
+    renderUpcoming();
+}
+
+async function loadUpcoming() {
+    try {
+        const contests = await loadContestList();
+        upcomingContests = contests
+            .filter(contest => contest.phase === 'BEFORE')
+            .sort((a, b) => a.startTimeSeconds - b.startTimeSeconds);
+    } catch (error) {
+        console.warn('Could not load upcoming contests:', error);
+        upcomingError = true;
+    }
+    upcomingLoaded = true;
+
+    // Reminders for contests that are no longer upcoming can never fire.
+    const reminders = loadReminders();
+    const upcomingIds = new Set(upcomingContests.map(contest => String(contest.id)));
+    Object.keys(reminders).forEach(id => {
+        if (!upcomingIds.has(id)) delete reminders[id];
+    });
+    saveReminders(reminders);
+
+    renderUpcoming();
+}
+
+export function updateUpcoming(user) {
+    upcomingUser = user;
+    renderUpcoming();
+}
+
+export function setupUpcoming() {
+    const section = document.getElementById('upcomingSection');
+    if (!section) return;
+
+    document.getElementById('downloadAllContestsBtn').addEventListener('click', () => {
+        downloadCalendar(upcomingContests, 'codeforces-upcoming.ics');
+    });
+
+    document.getElementById('upcomingBody').addEventListener('click', e => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const contestId = Number(button.dataset.contest);
+        if (button.dataset.action === 'calendar') {
+            const contest = upcomingContests.find(c => c.id === contestId);
+            if (contest) downloadCalendar([contest], `codeforces-${contestId}.ics`);
+        } else {
+            toggleReminder(contestId);
+        }
+    });
+
+    loadUpcoming();
+    setInterval(tickUpcoming, 1000);
+}
@@ -0,0 +1,163 @@
+import { cfApi } from './api.js';
+import { loadProblemset, readCachedContestProblems, writeCachedContestProblems } from './cache.js';
+import { escapeHtml } from './dom.js';
+
+const IN_CONTEST_PARTICIPANT_TYPES = new Set(['CONTESTANT', 'OUT_OF_COMPETITION']);
+const UPSOLVE_STATUS_LABELS = {
+    contest: 'Solved in contest',
+    upsolved: 'Upsolved',
+    unsolved: 'Unsolved'
+};
+
+let upsolveStatus = null;
+let upsolveFailed = false;
+let upsolveRequestId = 0;
+
+function classifyContestProblems(problems, submissions) {
+    const solvedInContest = new Set();
+    const solvedLater = new Set();
+
+    submissions.forEach(sub => {
+        if (sub.verdict !== 'OK') return;
+        if (IN_CONTEST_PARTICIPANT_TYPES.has(sub.author.participantType)) {
+            solvedInContest.add(sub.problem.index);
+        } else {
+            solvedLater.add(sub.problem.index);
+        }
+    });
+
+    return problems.map(problem => {
+        let status = 'unsolved';
+        if (solvedInContest.has(problem.index)) {
+            status = 'contest';
+        } else if (solvedLater.has(problem.index)) {
+            status = 'upsolved';
+        }
+        return { problem, status };
+    });
+}
+
+// The problemset covers almost every rated round in one call; contest.standings fills in
+// the rest (typically rounds added in the last few days) and is cached permanently.
+// Without the problemset every contest would need a standings call, so its failure is thrown.
+async function getContestProblems(contestIds) {
+    const problemsByContest = new Map();
+    const problemset = await loadProblemset();
+    problemset.forEach(problem => {
+        if (!contestIds.has(problem.contestId)) return;
+        if (!problemsByContest.has(problem.contestId)) {
+            problemsByContest.set(problem.contestId, []);
+        }
+        problemsByContest.get(problem.contestId).push(problem);
+    });
+
+    for (const contestId of contestIds) {
+        if (problemsByContest.has(contestId)) continue;
+
+        let problems = await readCachedContestProblems(contestId).catch(() => null);
+        if (!problems) {
+            try {
+                problems = (await cfApi.getContestStandings(contestId)).problems;
+                await writeCachedContestProblems(contestId, problems).catch(() => {});
+            } catch (error) {
+                console.warn(`Could not load problems for contest ${contestId}:`, error);
+                continue;
+            }
+        }
+        problemsByContest.set(contestId, problems);
+    }
+
+    problemsByContest.forEach(problems => {
+        problems.sort((a, b) => a.index.localeCompare(b.index, undefined, { numeric: true }));
+    });
+
+    return problemsByContest;
+}
+
+export async function updateUpsolving(ratingHistory, submissions) {
+    const requestId = ++upsolveRequestId;
+    upsolveStatus = null;
+    upsolveFailed = false;
+    renderUpsolveBacklog();
+
+    const contestIds = new Set(ratingHistory.map(contest => contest.contestId));
+    let problemsByContest;
+    try {
+        problemsByContest = await getContestProblems(contestIds);
+    } catch (error) {
+        if (requestId !== upsolveRequestId) return false;
+        upsolveFailed = true;
+        renderUpsolveBacklog(ratingHistory);
+        throw error;
+    }
+    if (requestId !== upsolveRequestId) return false;
+
+    const submissionsByContest = new Map();
+    submissions.forEach(sub => {
+        const contestId = sub.problem.contestId;
+        if (!submissionsByContest.has(contestId)) {
+            submissionsByContest.set(contestId, []);
+        }
+        submissionsByContest.get(contestId).push(sub);
+    });
+
+    upsolveStatus = new Map();
+    problemsByContest.forEach((problems, contestId) => {
+        upsolveStatus.set(contestId, classifyContestProblems(problems, submissionsByContest.get(contestId) || []));
+    });
+
+    renderUpsolveBacklog(ratingHistory);
+    return true;
+}
+
+export function renderProblemChips(contestId) {
+    if (upsolveFailed) return '<span class="stat-label" title="Contest problems could not be loaded">-</span>';
+    if (!upsolveStatus) return '<span class="stat-label">…</span>';
+
+    const problems = upsolveStatus.get(contestId) || [];
+
+    return problems.map(({ problem, status }) => `
+        <a class="problem-chip ${status}" href="https://codeforces.com/contest/${contestId}/problem/${problem.index}"
+           target="_blank" rel="noopener" title="${problem.index}. ${escapeHtml(problem.name)} – ${UPSOLVE_STATUS_LABELS[status]}">${problem.index}</a>
+    `).join('');
+}
+
+function renderUpsolveBacklog(ratingHistory = []) {
+    const tbody = document.getElementById('backlogBody');
+    const count = document.getElementById('backlogCount');
+    if (!tbody || !count) return;
+
+    if (upsolveFailed) {
+        tbody.innerHTML = '<tr><td colspan="4">Contest problems could not be loaded.</td></tr>';
+        count.textContent = '';
+        return;
+    }
+    if (!upsolveStatus) {
+        tbody.innerHTML = '<tr><td colspan="4">Loading contest problems...</td></tr>';
+        count.textContent = '';
+        return;
+    }
+
+    const rows = [];
+    ratingHistory.slice().reverse().forEach(contest => {
+        (upsolveStatus.get(contest.contestId) || [])
+            .filter(({ status }) => status === 'unsolved')
+            .forEach(({ problem }) => rows.push({ contest, problem }));
+    });
+
+    count.textContent = `${rows.length} problems`;
+
+    if (!rows.length) {
+        tbody.innerHTML = '<tr><td colspan="4">Nothing left to upsolve.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = rows.map(({ contest, problem }) => `
+        <tr>
+            <td>${escapeHtml(contest.contestName)}</td>
+            <td><a href="https://codeforces.com/contest/${contest.contestId}/problem/${problem.index}" target="_blank" rel="noopener">${problem.index}. ${escapeHtml(problem.name)}</a></td>
+            <td>${problem.rating || '-'}</td>
+            <td>${escapeHtml((problem.tags || []).join(', '))}</td>
+        </tr>
+    `).join('');
+}
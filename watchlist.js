@@ -0,0 +1,280 @@
+import { getFirstSolves, getProblemKey } from './analytics.js';
+import { cfApi, describeError } from './api.js';
+import { escapeHtml, formatAge, formatDelta, parseHandleList } from './dom.js';
+import { getRankColor } from './theme.js';
+
+const WATCHLIST_KEY = 'cf-metrics-watchlist';
+const WATCH_RECENT_DAYS = 7;
+const WATCH_STATUS_COUNT = 100; // Recent submissions fetched per handle; plenty for a week
+const WATCH_HISTORY_PAGE_SIZE = 1000;
+
+let watchlist = loadWatchlist();
+let watchRefreshing = false;
+
+function loadWatchlist() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(WATCHLIST_KEY));
+        return {
+            handles: Array.isArray(stored.handles) ? stored.handles : [],
+            entries: stored.entries && typeof stored.entries === 'object' ? stored.entries : {}
+        };
+    } catch (error) {
+        return { handles: [], entries: {} };
+    }
+}
+
+function saveWatchlist() {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(watchlist));
+}
+
+function watchKey(handle) {
+    return handle.toLowerCase();
+}
+
+export function getWatchlistHandles() {
+    return watchlist.handles.slice();
+}
+
+function getWatchCutoff(now = Date.now()) {
+    return now / 1000 - WATCH_RECENT_DAYS * 24 * 60 * 60;
+}
+
+// Problems whose earliest accepted submission among those given falls inside the recent window.
+function getRecentSolves(submissions, cutoff) {
+    return getFirstSolves(submissions)
+        .filter(sub => sub.creationTimeSeconds >= cutoff)
+        .map(sub => ({ key: getProblemKey(sub.problem), time: sub.creationTimeSeconds }));
+}
+
+// The submissions must reach back far enough to show whether each recently accepted problem
+// had been accepted before; fetchWatchSubmissions makes sure they do.
+export function buildWatchEntry(user, ratingHistory, submissions, now = Date.now()) {
+    const lastContest = ratingHistory[ratingHistory.length - 1];
+
+    return {
+        handle: user.handle,
+        rating: user.rating || 0,
+        maxRating: user.maxRating || 0,
+        rank: user.rank || '',
+        lastOnline: user.lastOnlineTimeSeconds,
+        contests: ratingHistory.length,
+        lastDelta: lastContest ? lastContest.newRating - lastContest.oldRating : null,
+        lastContestName: lastContest ? lastContest.contestName : '',
+        recentSolves: getRecentSolves(submissions, getWatchCutoff(now)),
+        checkedAt: now
+    };
+}
+
+// Describes what happened between two refreshes of the same handle.
+export function diffWatchEntries(previous, current) {
+    if (!previous) return [];
+
+    const changes = [];
+    const newContests = current.contests - previous.contests;
+    if (newContests > 0) {
+        changes.push(`${newContests} new contest${newContests === 1 ? '' : 's'} (${formatDelta(current.rating - previous.rating)})`);
+    } else if (current.rating !== previous.rating) {
+        changes.push(`Rating ${formatDelta(current.rating - previous.rating)}`);
+    }
+    if (current.rank !== previous.rank) {
+        changes.push(`${previous.rank || 'unrated'} → ${current.rank || 'unrated'}`);
+    }
+
+    const previousKeys = new Set((previous.recentSolves || []).map(solve => solve.key));
+    const newSolves = current.recentSolves
+        .filter(solve => solve.time * 1000 > previous.checkedAt && !previousKeys.has(solve.key))
+        .length;
+    if (newSolves > 0) {
+        changes.push(`${newSolves} new solve${newSolves === 1 ? '' : 's'}`);
+    }
+
+    return changes;
+}
+
+function setWatchStatus(message) {
+    document.getElementById('watchlistStatus').textContent = message;
+}
+
+function renderWatchCard(handle) {
+    const entry = watchlist.entries[watchKey(handle)];
+    const removeButton = `<button class="watch-remove" data-remove="${escapeHtml(handle)}" title="Remove from watchlist"><i class="fas fa-times"></i></button>`;
+
+    if (!entry) {
+        return `
+            <div class="watch-card">
+                <div class="watch-card-header">
+                    <button class="watch-handle" data-handle="${escapeHtml(handle)}">${escapeHtml(handle)}</button>
+                    ${removeButton}
+                </div>
+                <p class="panel-message">Not loaded yet</p>
+            </div>
+        `;
+    }
+
+    const cutoff = getWatchCutoff();
+    const solvedRecently = (entry.recentSolves || []).filter(solve => solve.time >= cutoff).length;
+    const delta = entry.lastDelta === null
+        ? ''
+        : `<span class="${entry.lastDelta >= 0 ? 'positive' : 'negative'}" title="${escapeHtml(entry.lastContestName)}">${formatDelta(entry.lastDelta)}</span>`;
+    const changes = entry.changes || [];
+
+    return `
+        <div class="watch-card${changes.length ? ' watch-changed' : ''}">
+            <div class="watch-card-header">
+                <button class="watch-handle" data-handle="${escapeHtml(entry.handle)}" style="color: ${getRankColor(entry.rank)}" title="Analyze ${escapeHtml(entry.handle)}">${escapeHtml(entry.handle)}</button>
+                ${removeButton}
+            </div>
+            <div class="watch-rating">${entry.rating || 'Unrated'} ${delta}</div>
+            <div class="watch-meta">
+                <span>${escapeHtml(entry.rank || 'unrated')}</span>
+                <span>${solvedRecently} solved in ${WATCH_RECENT_DAYS} days</span>
+                <span>Active ${entry.lastOnline ? formatAge(entry.lastOnline * 1000) : 'never'}</span>
+            </div>
+            ${changes.length ? `<ul class="watch-changes">${changes.map(change => `<li>${escapeHtml(change)}</li>`).join('')}</ul>` : ''}
+        </div>
+    `;
+}
+
+export function renderWatchlist() {
+    const grid = document.getElementById('watchlistGrid');
+    if (!grid) return;
+
+    grid.innerHTML = watchlist.handles.length
+        ? watchlist.handles.map(renderWatchCard).join('')
+        : '<p class="panel-message">Add handles to follow their ratings and practice.</p>';
+    document.getElementById('watchlistRefreshBtn').disabled = watchRefreshing || !watchlist.handles.length;
+}
+
+// The most recent submissions settle most handles. A problem first accepted inside them may
+// still have been accepted earlier, so older pages are fetched until every such problem either
+// turns out to be an old solve or the history runs out.
+async function fetchWatchSubmissions(handle) {
+    const cutoff = getWatchCutoff();
+    const submissions = await cfApi.getUserStatus(handle, 1, WATCH_STATUS_COUNT);
+    if (submissions.length < WATCH_STATUS_COUNT) return submissions;
+
+    let unsettled = getRecentSolves(submissions, cutoff);
+    for (let from = WATCH_STATUS_COUNT + 1; unsettled.length; from += WATCH_HISTORY_PAGE_SIZE) {
+        const page = await cfApi.getUserStatus(handle, from, WATCH_HISTORY_PAGE_SIZE);
+        submissions.push(...page);
+        if (page.length < WATCH_HISTORY_PAGE_SIZE) break;
+        unsettled = getRecentSolves(submissions, cutoff);
+    }
+
+    return submissions;
+}
+
+// One user.info call covers the whole list. Rating history and recent submissions are only
+// downloaded for people who were online or changed rating since the last snapshot.
+async function refreshWatchlist() {
+    if (watchRefreshing || !watchlist.handles.length) return;
+
+    watchRefreshing = true;
+    renderWatchlist();
+    setWatchStatus('Checking profiles...');
+
+    try {
+        const users = await cfApi.getUserInfos(watchlist.handles);
+        const stale = users.filter(user => {
+            const previous = watchlist.entries[watchKey(user.handle)];
+            if (previous && previous.lastOnline === user.lastOnlineTimeSeconds && previous.rating === (user.rating || 0)) {
+                previous.changes = [];
+                return false;
+            }
+            return true;
+        });
+        saveWatchlist();
+        renderWatchlist();
+
+        const changed = [];
+        const failed = [];
+        for (let i = 0; i < stale.length; i++) {
+            const user = stale[i];
+            setWatchStatus(`Updating ${user.handle} (${i + 1} of ${stale.length})...`);
+
+            try {
+                const [ratingHistory, submissions] = await Promise.all([
+                    cfApi.getUserRating(user.handle),
+                    fetchWatchSubmissions(user.handle)
+                ]);
+                const key = watchKey(user.handle);
+                const entry = buildWatchEntry(user, ratingHistory, submissions);
+                entry.changes = diffWatchEntries(watchlist.entries[key], entry);
+                watchlist.entries[key] = entry;
+                if (entry.changes.length) changed.push(user.handle);
+            } catch (error) {
+                console.warn(`Could not update ${user.handle}:`, error);
+                failed.push(user.handle);
+            }
+            saveWatchlist();
+            renderWatchlist();
+        }
+
+        setWatchStatus(`Updated ${new Date().toLocaleTimeString()}: ` +
+            (changed.length ? `changes for ${changed.join(', ')}` : 'no changes') +
+            (failed.length ? `; could not update ${failed.join(', ')}` : ''));
+    } catch (error) {
+        console.error('Error refreshing watchlist:', error);
+        setWatchStatus(`Could not refresh: ${describeError(error)}`);
+    } finally {
+        watchRefreshing = false;
+        renderWatchlist();
+    }
+}
+
+async function addToWatchlist(text) {
+    const known = new Set(watchlist.handles.map(watchKey));
+    const handles = parseHandleList(text).filter(handle => !known.has(watchKey(handle)));
+    if (!handles.length) return false;
+
+    try {
+        // Fetching the users checks the handles and gives their canonical capitalisation.
+        const users = await cfApi.getUserInfos(handles);
+        watchlist.handles.push(...users.map(user => user.handle));
+        saveWatchlist();
+        renderWatchlist();
+        refreshWatchlist();
+        return true;
+    } catch (error) {
+        setWatchStatus(`Could not add: ${describeError(error)}`);
+        return false;
+    }
+}
+
+function removeFromWatchlist(handle) {
+    const key = watchKey(handle);
+    watchlist.handles = watchlist.handles.filter(h => watchKey(h) !== key);
+    delete watchlist.entries[key];
+    saveWatchlist();
+    renderWatchlist();
+}
+
+export function setupWatchlist(onSelect) {
+    const grid = document.getElementById('watchlistGrid');
+    if (!grid) return;
+
+    const input = document.getElementById('watchlistInput');
+    const addHandles = async () => {
+        if (await addToWatchlist(input.value)) {
+            input.value = '';
+        }
+    };
+
+    document.getElementById('watchlistAddBtn').addEventListener('click', addHandles);
+    input.addEventListener('keypress', e => {
+        if (e.key === 'Enter') addHandles();
+    });
+    document.getElementById('watchlistRefreshBtn').addEventListener('click', refreshWatchlist);
+
+    grid.addEventListener('click', e => {
+        const remove = e.target.closest('[data-remove]');
+        if (remove) {
+            removeFromWatchlist(remove.dataset.remove);
+            return;
+        }
+        const handle = e.target.closest('[data-handle]');
+        if (handle) onSelect(handle.dataset.handle);
+    });
+
+    renderWatchlist();
+}